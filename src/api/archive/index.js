@@ -0,0 +1,73 @@
+import * as pushshift from '../pushshift'
+import * as local from '../local'
+
+// An archive provider is an object which retrieves archived (possibly since removed,
+// deleted or edited) posts and comments. Each must implement all of the following:
+//
+//   title: a short human-readable name, displayed when choosing a provider
+//
+//   getPost(threadID, signal = undefined): resolves with the archived post in the
+//     Pushshift submission format, or undefined if not found
+//
+//   getComments(callback, threadID, maxComments, after = -1, before = undefined, signal = undefined):
+//     retrieves up to around maxComments of a thread's comments sorted by their
+//     created_utc, with after < created_utc < before. The callback() function is
+//     called with an Array of comments after each chunk is retrieved. It should
+//     return as quickly as possible, and may return false to cause getComments to
+//     exit early, or true otherwise. Resolves with [ lastCreatedUtc, loadedAllComments ]
+//
+//   getCommentsFromIds(commentIDs, signal = undefined): resolves with an Array of those comments found
+//
+// Each signal is an optional AbortSignal; once aborted, the Promise must reject with an AbortError.
+// Comments must use the Pushshift comment format, with link_id and parent_id converted
+// to short (base36) IDs. Errors thrown should have a user-friendly .message, and may
+// include a .helpUrl.
+
+// The approx. # of comments requested from providers at a time (used for UI limits)
+export const chunkSize = 1000
+
+export const defaultProvider = 'pushshift'
+
+const providers = new Map()
+let curProvider
+
+// Makes a provider available for selection; should be called before setProvider()
+export const registerProvider = (name, provider) => {
+  providers.set(name, provider)
+  if (!curProvider && name == defaultProvider)
+    curProvider = provider
+}
+
+// Returns an Array of [ name, title ] pairs of all registered providers
+export const getProviders = () => Array.from(providers, ([name, provider]) => [name, provider.title])
+
+// The title of the currently selected provider
+export const getProviderTitle = () => curProvider.title
+
+// Selects the provider used by the functions below; falls back to
+// the defaultProvider if no such provider has been registered
+export const setProvider = name => {
+  if (!providers.has(name)) {
+    console.warn('Unknown archive provider:', name)
+    name = defaultProvider
+  }
+  curProvider = providers.get(name)
+  return name
+}
+
+registerProvider('pushshift', {
+  title: 'Pushshift',
+  getPost: pushshift.getPost,
+  getComments: pushshift.getComments,
+  getCommentsFromIds: pushshift.getCommentsFromIds
+})
+registerProvider('local', {
+  title: 'Local dumps',
+  getPost: local.getPost,
+  getComments: local.getComments,
+  getCommentsFromIds: local.getCommentsFromIds
+})
+
+export const getPost            = (threadID, signal)   => curProvider.getPost(threadID, signal)
+export const getComments        = (...args)            => curProvider.getComments(...args)
+export const getCommentsFromIds = (commentIDs, signal) => curProvider.getCommentsFromIds(commentIDs, signal)
@@ -0,0 +1,106 @@
+import { openDatabase, idbRequest, idbTransaction, isRecording, isReplaying } from '../../utils'
+
+// A persistent cache of previously loaded threads. Failures are logged and otherwise
+// ignored; a missing or broken cache should only ever make thread loads slower.
+// The cache is bypassed while recording or replaying network traffic so that
+// recordings are complete, and so that replays don't affect the cache.
+const bypassed = () => isRecording() || isReplaying()
+
+const dbName = 'threadCache'
+const dbVersion = 1
+const maxAgeMS = 30 * 86400 * 1000  // threads last saved before this are evicted
+const maxSize  = 50 * 1024 * 1024   // approx. total bytes before least recently saved are evicted
+
+// The threads store holds { id, archive, post, comments, contigs, removed, deleted, walkedRedditTree }
+// objects, and the meta store holds { id, savedAt, size } objects so that eviction needn't read whole threads
+let dbPromise
+const getDB = () => {
+  if (!dbPromise)
+    dbPromise = openDatabase(dbName, dbVersion, db => {
+      db.createObjectStore('threads', {keyPath: 'id'})
+      db.createObjectStore('meta', {keyPath: 'id'}).createIndex('savedAt', 'savedAt')
+    }).catch(error => {
+      dbPromise = undefined
+      throw error
+    })
+  return dbPromise
+}
+
+// Resolves with a thread saved from the same archive provider, or undefined if there is none
+export const getCachedThread = async (threadID, archive) => {
+  if (bypassed())
+    return
+  try {
+    const transaction = (await getDB()).transaction(['threads', 'meta'])
+    const [ thread, meta ] = await Promise.all([
+      idbRequest(transaction.objectStore('threads').get(threadID)),
+      idbRequest(transaction.objectStore('meta').get(threadID))
+    ])
+    if (thread?.archive == archive && meta?.savedAt > Date.now() - maxAgeMS)
+      return thread
+  } catch (error) {
+    console.warn('cache.getCachedThread:', error)
+  }
+}
+
+// Saves (replacing) a thread; comments is an iterable of comments which may include
+// undefined placeholders, and each comment's replies are not saved
+export const putCachedThread = async (threadID, archive, { post, comments, contigs, removed, deleted, walkedRedditTree }) => {
+  if (bypassed())
+    return
+  const thread = {
+    id: threadID,
+    archive,
+    post,
+    comments: [],
+    contigs,
+    removed,
+    deleted,
+    walkedRedditTree
+  }
+  for (const comment of comments) {
+    if (comment) {
+      const { replies, ...rest } = comment  // eslint-disable-line no-unused-vars
+      thread.comments.push(rest)
+    }
+  }
+  try {
+    const transaction = (await getDB()).transaction(['threads', 'meta'], 'readwrite')
+    transaction.objectStore('threads').put(thread)
+    transaction.objectStore('meta').put({ id: threadID, savedAt: Date.now(), size: JSON.stringify(thread).length })
+    await idbTransaction(transaction)
+    await evict()
+  } catch (error) {
+    console.warn('cache.putCachedThread:', error)
+  }
+}
+
+// Removes threads which are too old, and then the least recently saved until under maxSize
+const evict = async () => {
+  const transaction = (await getDB()).transaction(['threads', 'meta'], 'readwrite')
+  const threadStore = transaction.objectStore('threads'), metaStore = transaction.objectStore('meta')
+  const metas = await idbRequest(metaStore.index('savedAt').getAll())  // oldest first
+  let totalSize = metas.reduce((total, meta) => total + meta.size, 0)
+  const expiredAt = Date.now() - maxAgeMS
+  for (const meta of metas) {
+    if (meta.savedAt > expiredAt && totalSize <= maxSize)
+      break
+    threadStore.delete(meta.id)
+    metaStore.delete(meta.id)
+    totalSize -= meta.size
+  }
+  await idbTransaction(transaction)
+}
+
+// Resolves with { threads, size } of the cache's current contents
+export const getCacheStats = async () => {
+  const metas = await idbRequest((await getDB()).transaction('meta').objectStore('meta').getAll())
+  return { threads: metas.length, size: metas.reduce((total, meta) => total + meta.size, 0) }
+}
+
+export const clearCache = async () => {
+  const transaction = (await getDB()).transaction(['threads', 'meta'], 'readwrite')
+  transaction.objectStore('threads').clear()
+  transaction.objectStore('meta').clear()
+  await idbTransaction(transaction)
+}
@@ -0,0 +1,63 @@
+import { fetchJson, get, put } from '../../utils'
+
+// Runtime configuration, so that a single build can be pointed at different servers. Values
+// are taken from (in increasing order of precedence) the defaults below, an optional
+// /config.json served alongside the site, and any overrides saved on the settings page.
+
+export const defaults = {
+  pushshiftURL:  'https://api.pushshift.io',
+  redditURL:     'https://oauth.reddit.com',
+  redditAuthURL: 'https://www.reddit.com',
+  // Change this (or set it in /config.json) to your own client ID: https://www.reddit.com/prefs/apps
+  // The app NEEDS TO BE an installed app and NOT a web app
+  clientID:      'NAhiRYXXEFeIXyFazmhGHQ'
+}
+
+export const configURL = '/config.json'
+
+// Key for localStorage
+const overridesKey = 'configOverrides'
+
+let fileConfig = {}
+let config = {...defaults, ...get(overridesKey, {})}
+
+// Only known keys with non-empty string values are used
+const sanitize = obj => {
+  const sanitized = {}
+  Object.keys(defaults).forEach(key => {
+    if (typeof obj?.[key] == 'string' && obj[key].trim())
+      sanitized[key] = obj[key].trim().replace(/\/+$/, '')  // remove any trailing slashes from URLs
+  })
+  return sanitized
+}
+
+// Loads /config.json (if present); should be called once before any API requests are made
+export const loadConfig = async () => {
+  try {
+    fileConfig = sanitize(await fetchJson(configURL, {cache: 'no-cache'}))
+  } catch (error) {
+    console.info('Using the default configuration (no valid ' + configURL + ')')
+  }
+  config = {...defaults, ...fileConfig, ...sanitize(get(overridesKey, {}))}
+  return config
+}
+
+// The current configuration
+export const getConfig = () => config
+
+// The configuration without any overrides
+export const getBaseConfig = () => ({...defaults, ...fileConfig})
+
+export const getOverrides = () => sanitize(get(overridesKey, {}))
+
+// Saves overrides (replacing any previous ones); they take full effect after the site is reloaded
+export const setOverrides = overrides => {
+  overrides = sanitize(overrides)
+  const base = getBaseConfig()
+  Object.keys(overrides).forEach(key => {
+    if (overrides[key] == base[key])
+      delete overrides[key]
+  })
+  put(overridesKey, overrides)
+  config = {...base, ...overrides}
+}
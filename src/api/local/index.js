@@ -0,0 +1,216 @@
+import { Decompress } from 'fzstd'
+import { openDatabase, idbRequest, idbTransaction, abortError, isAbortError } from '../../utils'
+
+// An archive provider backed by Reddit dumps (one JSON object per line,
+// optionally zstd-compressed) which have been imported into IndexedDB
+
+export const chunkSize = 1000
+const postFields    = ['author', 'created_utc', 'domain', 'edited', 'id', 'link_flair_text', 'num_comments', 'permalink',
+  'removed_by_category', 'retrieved_on', 'retrieved_utc', 'score', 'selftext', 'subreddit', 'thumbnail',
+  'thumbnail_height', 'thumbnail_width', 'title', 'url']
+const commentFields = ['author', 'body', 'created_utc', 'id', 'link_id', 'parent_id', 'retrieved_on', 'retrieved_utc',
+  'score', 'subreddit']
+
+const dbName = 'localArchive'
+const dbVersion = 1
+const byLinkIndex = 'link_id_created_utc'
+
+let dbPromise
+const getDB = () => {
+  if (!dbPromise)
+    dbPromise = openDatabase(dbName, dbVersion, db => {
+      const posts = db.createObjectStore('posts', {keyPath: 'id'})
+      posts.createIndex('created_utc', 'created_utc')
+      const comments = db.createObjectStore('comments', {keyPath: 'id'})
+      comments.createIndex('created_utc', 'created_utc')
+      comments.createIndex(byLinkIndex, ['link_id', 'created_utc', 'id'])
+    }).catch(error => {
+      dbPromise = undefined
+      throw error
+    })
+  return dbPromise
+}
+
+const errorHandler = (msg, origError, from) => {
+  if (isAbortError(origError))
+    throw origError
+  console.error(from + ': ' + origError)
+  throw new Error(msg)
+}
+
+// Converts Reddit fullnames to their short ID (base36) form
+const toShortID = id => typeof id == 'string' && id[2] == '_' ? id.substring(3) : id
+
+const pick = (obj, fields) => {
+  const picked = {}
+  fields.forEach(field => {
+    if (obj[field] !== undefined)
+      picked[field] = obj[field]
+  })
+  return picked
+}
+
+const toPost = obj => {
+  const post = pick(obj, postFields)
+  post.id = toShortID(post.id)
+  post.created_utc = parseInt(post.created_utc)
+  return post
+}
+
+const toComment = obj => {
+  const comment = pick(obj, commentFields)
+  comment.id = toShortID(comment.id)
+  comment.created_utc = parseInt(comment.created_utc)
+  comment.link_id   = toShortID(comment.link_id)
+  comment.parent_id = toShortID(comment.parent_id) || comment.link_id
+  return comment
+}
+
+// The first four bytes of every zstd frame
+const isZstd = bytes => bytes[0] == 0x28 && bytes[1] == 0xb5 && bytes[2] == 0x2f && bytes[3] == 0xfd
+
+// Imports a dump file of submissions and/or comments, calling onProgress(fractionRead, counts)
+// after each block is stored. Resolves with the counts of { posts, comments, skipped } lines.
+export const importDump = async (file, onProgress = () => {}) => {
+  const db = await getDB()
+  const reader = file.stream().getReader()
+  const decoder = new TextDecoder()
+  const counts = {posts: 0, comments: 0, skipped: 0}
+  let posts = [], comments = [], partialLine = '', bytesRead = 0, decompressor
+
+  const addLine = line => {
+    if (!line.trim())
+      return
+    try {
+      const obj = JSON.parse(line)
+      if (typeof obj.body == 'string' && obj.link_id)
+        comments.push(toComment(obj))
+      else if (typeof obj.title == 'string')
+        posts.push(toPost(obj))
+      else
+        counts.skipped++
+    } catch (error) {
+      counts.skipped++
+    }
+  }
+  const addText = text => {
+    const lines = (partialLine + text).split('\n')
+    partialLine = lines.pop()
+    lines.forEach(addLine)
+  }
+  const store = async () => {
+    if (posts.length == 0 && comments.length == 0)
+      return
+    const transaction = db.transaction(['posts', 'comments'], 'readwrite')
+    const postStore = transaction.objectStore('posts'), commentStore = transaction.objectStore('comments')
+    posts.forEach(post => postStore.put(post))
+    comments.forEach(comment => commentStore.put(comment))
+    await idbTransaction(transaction)
+    counts.posts    += posts.length
+    counts.comments += comments.length
+    posts = []
+    comments = []
+  }
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done)
+        break
+      if (bytesRead == 0 && isZstd(value))
+        decompressor = new Decompress(chunk => addText(decoder.decode(chunk, {stream: true})))
+      bytesRead += value.length
+      if (decompressor)
+        decompressor.push(value)
+      else
+        addText(decoder.decode(value, {stream: true}))
+      await store()
+      onProgress(bytesRead / file.size, counts)
+    }
+    if (decompressor)
+      decompressor.push(new Uint8Array(0), true)
+    addText(decoder.decode())
+    addLine(partialLine)
+    await store()
+  } catch (error) {
+    reader.cancel()
+    errorHandler(`Could not import ${file.name}`, error, 'local.importDump')
+  }
+  return counts
+}
+
+// Resolves with the number of { posts, comments } currently stored
+export const getCounts = async () => {
+  const transaction = (await getDB()).transaction(['posts', 'comments'])
+  const [ posts, comments ] = await Promise.all([
+    idbRequest(transaction.objectStore('posts').count()),
+    idbRequest(transaction.objectStore('comments').count())
+  ])
+  return { posts, comments }
+}
+
+// Removes everything which has been imported
+export const clearDumps = async () => {
+  const transaction = (await getDB()).transaction(['posts', 'comments'], 'readwrite')
+  transaction.objectStore('posts').clear()
+  transaction.objectStore('comments').clear()
+  await idbTransaction(transaction)
+}
+
+export const getPost = async (threadID, signal = undefined) => {
+  try {
+    if (signal?.aborted)
+      throw abortError()
+    const db = await getDB()
+    return await idbRequest(db.transaction('posts').objectStore('posts').get(threadID))
+  } catch (error) {
+    errorHandler('Could not get removed/edited post', error, 'local.getPost')
+  }
+}
+
+export const getCommentsFromIds = async (commentIDs, signal = undefined) => {
+  if (commentIDs.length == 0)
+    return []
+  try {
+    if (signal?.aborted)
+      throw abortError()
+    const commentStore = (await getDB()).transaction('comments').objectStore('comments')
+    const comments = await Promise.all(commentIDs.map(id => idbRequest(commentStore.get(id))))
+    return comments.filter(c => c)
+  } catch (error) {
+    errorHandler('Could not get removed comments', error, 'local.getCommentsFromIds')
+  }
+}
+
+// See getComments in ../archive for a description of the callback() function
+export const getComments = async (callback, threadID, maxComments, after = -1, before = undefined, signal = undefined) => {
+  let chunks = Math.floor(maxComments / chunkSize), lastCreatedUtc = 1
+  // Keys are [link_id, created_utc, id] and arrays sort after any id, so this includes every comment created
+  // before (but not at) the before time
+  const upper = [threadID, before ? before - 1 : Infinity, []]
+  let range = IDBKeyRange.bound([threadID, after + 1], upper)
+  while (true) {
+
+    let comments
+    try {
+      if (signal?.aborted)
+        throw abortError()
+      const commentStore = (await getDB()).transaction('comments').objectStore('comments')
+      comments = await idbRequest(commentStore.index(byLinkIndex).getAll(range, chunkSize))
+    } catch (error) {
+      errorHandler('Could not get removed comments', error, 'local.getComments')
+    }
+    const exitEarly = !callback(comments)
+
+    const loadedAllComments = comments.length < chunkSize
+    if (comments.length) {
+      const last = comments[comments.length - 1]
+      lastCreatedUtc = last.created_utc
+      // Continue immediately after the last comment (ties are broken by id)
+      range = IDBKeyRange.bound([threadID, last.created_utc, last.id], upper, true)
+    }
+    if (loadedAllComments || chunks <= 1 || exitEarly)
+      return [ lastCreatedUtc, loadedAllComments ]
+    chunks--
+  }
+}
@@ -1,12 +1,16 @@
-import { fetchJson, sleep } from '../../utils'
+import { fetchJson, isAbortError } from '../../utils'
+import { Host, priority, defaultRetryPolicy } from '../scheduler'
+import { getConfig } from '../config'
 
 export const chunkSize = 1000;
-const postURL    = 'https://api.pushshift.io/reddit/search/submission?filter=author,created_utc,domain,edited,id,link_flair_text,num_comments,permalink,position,removed_by_category,retrieved_on,retrieved_utc,score,selftext,subreddit,thumbnail,thumbnail_height,thumbnail_width,title,url&ids='
-const commentURL = 'https://api.pushshift.io/reddit/search/comment?filter=author,body,created_utc,id,link_id,parent_id,retrieved_on,retrieved_utc,score,subreddit&'
-const commentURLbyIDs  = `${commentURL}ids=`
-const commentURLbyLink = `${commentURL}limit=${chunkSize}&sort=id&order=asc&link_id=`
+const postURL    = () => `${getConfig().pushshiftURL}/reddit/search/submission?filter=author,created_utc,domain,edited,id,link_flair_text,num_comments,permalink,position,removed_by_category,retrieved_on,retrieved_utc,score,selftext,subreddit,thumbnail,thumbnail_height,thumbnail_width,title,url&ids=`
+const commentURL = () => `${getConfig().pushshiftURL}/reddit/search/comment?filter=author,body,created_utc,id,link_id,parent_id,retrieved_on,retrieved_utc,score,subreddit&`
+const commentURLbyIDs  = () => `${commentURL()}ids=`
+const commentURLbyLink = () => `${commentURL()}limit=${chunkSize}&sort=id&order=asc&link_id=`
 
 const errorHandler = (msg, origError, from) => {
+  if (isAbortError(origError))
+    throw origError
   console.error(from + ': ' + origError)
   const error = new Error(msg)
   if (origError.name == 'TypeError')  // Usually indicates that Pushshift is down
@@ -14,60 +18,13 @@ const errorHandler = (msg, origError, from) => {
   throw error
 }
 
-class TokenBucket {
+const pushshiftHost = new Host('Pushshift', 7, 515)
+const idsRetryPolicy = {...defaultRetryPolicy, msMaxDelay: 2000}  // ~4s of consecutive failures
 
-  // Refills tokens at a rate of one per msRefillIntvl millis, storing up to size tokens.
-  constructor(msRefillIntvl, size) {
-    if (!(msRefillIntvl > 0))
-      throw RangeError('msRefillIntvl must be > 0')
-    if (!(size > 0))
-      throw RangeError('size must be > 0')
-    this._msRefillIntvl = msRefillIntvl
-    this._maxSize = size
-    this._tokens  = size
-    // Invariant: this._msNextRefill is valid iff this._tokens < this._maxSize
-  }
-
-  // Removes one token, waiting for it to refill if none are available.
-  async waitForToken() {
-    let msNow
-    // Calculate if/how many tokens to refill
-    if (this._tokens < this._maxSize) {  // this._msNextRefill is valid
-      msNow = Date.now()
-      if (msNow >= this._msNextRefill) {
-        const newTokens = Math.floor((msNow - this._msNextRefill) / this._msRefillIntvl) + 1
-        this._tokens += newTokens
-        if (this._tokens < this._maxSize)
-          this._msNextRefill += newTokens * this._msRefillIntvl
-        else
-          this._tokens = this._maxSize  // this._msNextRefill is now invalid
-      }
-    }
-    // Remove a token or wait for _msNextRefill, and recalculate it
-    if (this._tokens > 0) {
-      if (this._tokens == this._maxSize)                  // this._msNextRefill is invalid,
-        this._msNextRefill = (msNow || Date.now()) + this._msRefillIntvl  // make it valid
-      this._tokens--
-    } else {  // this._msNextRefill is valid and msNow has already been set above
-      await sleep(this._msNextRefill - msNow)
-      this._msNextRefill += this._msRefillIntvl
-    }
-  }
-
-  // Removes all tokens, and will refill the next token msNextAvail
-  // millis from now. After it's refilled, resumes normal refill rate.
-  setNextAvail(msNextAvail) {
-    this._tokens = 0
-    this._msNextRefill = Date.now() + msNextAvail
-  }
-}
-
-const pushshiftTokenBucket = new TokenBucket(515, 7)
-
-export const getPost = async threadID => {
-  await pushshiftTokenBucket.waitForToken()
+export const getPost = async (threadID, signal = undefined) => {
   try {
-    return (await fetchJson(`${postURL}${parseInt(threadID, 36)}`)).data[0]
+    return (await pushshiftHost.request(() => fetchJson(`${postURL()}${parseInt(threadID, 36)}`, {signal}),
+      {requestPriority: priority.high, signal, retryPolicy: idsRetryPolicy})).data[0]
   } catch (error) {
     errorHandler('Could not get removed/edited post', error, 'pushshift.getPost')
   }
@@ -84,22 +41,16 @@ const toBase36 = id => {
     return id[2] == '_' ? id.substring(3) : id
 }
 
-export const getCommentsFromIds = async commentIDs => {
+export const getCommentsFromIds = async (commentIDs, signal = undefined) => {
   if (commentIDs.length == 0)
     return []
-  let response, delay = 0
-  while (true) {
-    await pushshiftTokenBucket.waitForToken()
-    try {
-      response = await fetchJson(`${commentURLbyIDs}${commentIDs.map(id => parseInt(id, 36)).join()}`)
-      break
-    } catch (error) {
-      if (delay >= 2000)  // after ~4s of consecutive failures
-        errorHandler('Could not get removed comments', error, 'pushshift.getCommentsFromIds')  // rethrows
-      delay = delay * 2 || 125
-      pushshiftTokenBucket.setNextAvail(delay)
-      console.log('pushshift.getCommentsFromIds delay: ' + delay)
-    }
+  let response
+  try {
+    response = await pushshiftHost.request(
+      () => fetchJson(`${commentURLbyIDs()}${commentIDs.map(id => parseInt(id, 36)).join()}`, {signal}),
+      {signal, retryPolicy: idsRetryPolicy})
+  } catch (error) {
+    errorHandler('Could not get removed comments', error, 'pushshift.getCommentsFromIds')
   }
   return response.data.map(c => {
     c.link_id   = toBase36(c.link_id)
@@ -120,32 +71,26 @@ export const getCommentsFromIds = async commentIDs => {
 // The callback() function is called with an Array of comments after each chunk is
 // retrieved. It should return as quickly as possible (scheduling time-taking work
 // later), and may return false to cause getComments to exit early, or true otherwise.
-export const getComments = async (callback, threadID, maxComments, after = -1, before = undefined) => {
-  let chunks = Math.floor(maxComments / chunkSize), response, lastCreatedUtc = 1
+// If the optional AbortSignal is aborted, rejects with an AbortError.
+export const getComments = async (callback, threadID, maxComments, after = -1, before = undefined, signal = undefined) => {
+  let chunks = Math.floor(maxComments / chunkSize), lastCreatedUtc = 1
   while (true) {
 
-    let query = commentURLbyLink + parseInt(threadID, 36)
+    let query = commentURLbyLink() + parseInt(threadID, 36)
     //if (!inBrokenRange(after))
     //  query += '&q=*'
     query += `&since=${after + 1}`
     if (before)
       query += `&until=${before}`
-    let delay = 0
-    while (true) {
-      await pushshiftTokenBucket.waitForToken()
-      try {
-        response = await fetchJson(query)
-        break
-      } catch (error) {
-        if (delay >= 8000)  // after ~16s of consecutive failures
-          errorHandler('Could not get removed comments', error, 'pushshift.getComments')  // rethrows
-        delay = delay * 2 || 125
-        pushshiftTokenBucket.setNextAvail(delay)
-        if (!callback([]))
-          return [ lastCreatedUtc, false ]
-        console.log('pushshift.getComments delay: ' + delay)
-      }
+    let response
+    try {
+      // (the default policy retries for ~16s of consecutive failures)
+      response = await pushshiftHost.request(() => fetchJson(query, {signal}), {signal, onRetry: () => callback([])})
+    } catch (error) {
+      errorHandler('Could not get removed comments', error, 'pushshift.getComments')
     }
+    if (!response)  // the callback stopped the retries
+      return [ lastCreatedUtc, false ]
     const comments = response.data
     const exitEarly = !callback(comments.map(c => ({
       ...c,
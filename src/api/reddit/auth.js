@@ -1,12 +1,45 @@
-import { fetchJson } from '../../utils'
+import { fetchJson, get, put } from '../../utils'
+import { getConfig } from '../config'
 
-// Change this to your own client ID: https://www.reddit.com/prefs/apps
-// The app NEEDS TO BE an installed app and NOT a web app
+// The client ID is configured in ../config; to support logging in, its
+// redirect uri must be set to this site's origin followed by redirectPath
 
-const clientID = 'NAhiRYXXEFeIXyFazmhGHQ'
+export const redirectPath = '/auth'
+const redirectURI = () => window.location.origin + redirectPath
+const scope = 'identity read'
 
-// Token for reddit API
+const tokenURL = () => `${getConfig().redditAuthURL}/api/v1/access_token`
+const basicAuth = () => `Basic ${window.btoa(`${getConfig().clientID}:`)}`
+
+// Key for localStorage, holding { refreshToken, accessToken, expiresMS, username } while logged in
+const loginKey = 'redditLogin'
+// Key for sessionStorage, holding { state, verifier, returnPath } while logging in
+const pendingLoginKey = 'redditPendingLogin'
+
+// Anonymous token for reddit API
 let token, tokenExpiresMS = 0, tokenPromise
+// Token for the logged-in user
+let userPromise
+
+// Listeners are called with whether the user is logged in, and their username (which is undefined
+// if not logged in, or if it couldn't be looked up), whenever either changes
+const listeners = new Set()
+export const subscribe = listener => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+const publish = (loggedIn, username) => listeners.forEach(listener => listener(loggedIn, username))
+
+// POSTs a form to Reddit's access_token endpoint, returning the response
+// (which may report an error in its .error member instead of a status code)
+const fetchToken = params => fetchJson(tokenURL(), {
+  headers: {
+    Authorization: basicAuth(),
+    'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8'
+  },
+  method: 'POST',
+  body: new URLSearchParams(params).toString()
+})
 
 // TODO: respect login API limits?
 const getToken = async () => {
@@ -18,17 +51,10 @@ const getToken = async () => {
   if (tokenPromise)
     return (await tokenPromise).access_token
 
-  // Headers for getting reddit api token
-  const tokenInit = {
-    headers: {
-      Authorization: `Basic ${window.btoa(`${clientID}:`)}`,
-      'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8'
-    },
-    method: 'POST',
-    body: `grant_type=${encodeURIComponent('https://oauth.reddit.com/grants/installed_client')}&device_id=DO_NOT_TRACK_THIS_DEVICE`
-  }
-
-  tokenPromise = fetchJson('https://www.reddit.com/api/v1/access_token', tokenInit)
+  tokenPromise = fetchToken({
+    grant_type: 'https://oauth.reddit.com/grants/installed_client',
+    device_id:  'DO_NOT_TRACK_THIS_DEVICE'
+  })
   try {
     const response = await tokenPromise
     tokenExpiresMS = Date.now() + 1000*( parseInt(response.expires_in) - 10 )
@@ -42,12 +68,149 @@ const getToken = async () => {
   return token
 }
 
-// Get header for general api calls
-export const getAuth = () => {
-  return getToken()
-    .then(token => ({
-      headers: {
-        Authorization: `bearer ${token}`
+// Returns the logged-in user's access token, refreshing it if necessary,
+// or undefined if not logged in (or if the refresh token was revoked)
+const getUserToken = async () => {
+  const login = get(loginKey)
+  if (!login)
+    return
+  if (login.accessToken && login.expiresMS > Date.now())
+    return login.accessToken
+
+  // We are already waiting to refresh the token
+  if (userPromise)
+    return userPromise
+
+  userPromise = fetchToken({ grant_type: 'refresh_token', refresh_token: login.refreshToken })
+    .then(response => {
+      if (response.error || !response.access_token) {
+        // The user probably revoked access; fall back to the anonymous token
+        console.warn('reddit.getUserToken: logging out after', response.error)
+        forgetLogin()
+        return
       }
-    }))
+      put(loginKey, {
+        ...login,
+        accessToken: response.access_token,
+        expiresMS: Date.now() + 1000*( parseInt(response.expires_in) - 10 )
+      })
+      return response.access_token
+    })
+    .catch(error => {
+      console.error('reddit.getUserToken ->')
+      throw error
+    })
+    .finally(() => userPromise = undefined)
+  return userPromise
+}
+
+// Get header for general api calls, using the logged-in user's token when available
+export const getAuth = async () => {
+  const token = await getUserToken() || await getToken()
+  return {
+    headers: {
+      Authorization: `bearer ${token}`
+    }
+  }
+}
+
+// Whether the user has logged in to Reddit (and hasn't since logged out or revoked access)
+export const isLoggedIn = () => Boolean(get(loginKey))
+
+// The logged-in user's name, or undefined if not logged in or if it's unknown
+export const getUsername = () => get(loginKey)?.username
+
+const forgetLogin = () => {
+  window.localStorage.removeItem(loginKey)
+  publish(false, undefined)
+}
+
+// URL-safe base64 encodes an ArrayBuffer or Uint8Array, without padding
+const base64url = bytes => window.btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replaceAll('+', '-').replaceAll('/', '_').replace(/=+$/, '')
+
+const randomString = () => base64url(window.crypto.getRandomValues(new Uint8Array(32)))
+
+// Navigates to Reddit's authorization page using PKCE; once authorized, Reddit
+// redirects back to redirectPath, which should call completeLogin() below
+export const login = async (returnPath = '/') => {
+  const state = randomString(), verifier = randomString()
+  const challenge = base64url(await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)))
+  window.sessionStorage.setItem(pendingLoginKey, JSON.stringify({ state, verifier, returnPath }))
+  const params = new URLSearchParams({
+    client_id: getConfig().clientID,
+    response_type: 'code',
+    state,
+    redirect_uri: redirectURI(),
+    duration: 'permanent',
+    scope,
+    code_challenge: challenge,
+    code_challenge_method: 'S256'
+  })
+  window.location.assign(`${getConfig().redditAuthURL}/api/v1/authorize?${params}`)
+}
+
+// Exchanges the authorization code in Reddit's redirect for tokens,
+// and resolves with the returnPath originally passed to login()
+export const completeLogin = async search => {
+  const params = new URLSearchParams(search)
+  const pending = JSON.parse(window.sessionStorage.getItem(pendingLoginKey))
+  window.sessionStorage.removeItem(pendingLoginKey)
+  if (!pending || params.get('state') != pending.state)
+    throw new Error('Could not log in to Reddit: unexpected authorization response')
+  if (params.get('error'))
+    throw new Error(params.get('error') == 'access_denied' ?
+      'Reddit login was cancelled' : `Could not log in to Reddit: ${params.get('error')}`)
+
+  let response
+  try {
+    response = await fetchToken({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: redirectURI(),
+      code_verifier: pending.verifier
+    })
+  } catch (error) {
+    console.error('reddit.completeLogin: ' + error)
+    throw new Error('Could not log in to Reddit')
+  }
+  if (response.error || !response.refresh_token)
+    throw new Error(`Could not log in to Reddit: ${response.error || 'no refresh token'}`)
+
+  const login = {
+    refreshToken: response.refresh_token,
+    accessToken:  response.access_token,
+    expiresMS: Date.now() + 1000*( parseInt(response.expires_in) - 10 )
+  }
+  try {
+    const me = await fetchJson(`${getConfig().redditURL}/api/v1/me`, {
+      headers: { Authorization: `bearer ${login.accessToken}` }
+    })
+    login.username = me.name
+  } catch (error) {
+    console.warn('reddit.completeLogin: could not get username:', error)
+  }
+  put(loginKey, login)
+  publish(true, login.username)
+  return pending.returnPath
+}
+
+// Revokes the refresh token (best-effort) and reverts to anonymous tokens
+export const logout = async () => {
+  const login = get(loginKey)
+  forgetLogin()
+  if (login?.refreshToken) {
+    try {
+      await window.fetch(`${getConfig().redditAuthURL}/api/v1/revoke_token`, {
+        headers: {
+          Authorization: basicAuth(),
+          'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8'
+        },
+        method: 'POST',
+        body: new URLSearchParams({ token: login.refreshToken, token_type_hint: 'refresh_token' }).toString()
+      })
+    } catch (error) {
+      console.warn('reddit.logout: could not revoke token:', error)
+    }
+  }
 }
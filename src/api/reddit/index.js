@@ -1,61 +1,45 @@
-import { getAuth } from './auth'
-import { fetchJsonAndHeaders, sleep } from '../../utils'
+import { getAuth, subscribe as subscribeToLogins } from './auth'
+import { fetchJsonAndHeaders, isAbortError } from '../../utils'
+import { Host, priority } from '../scheduler'
+import { getConfig } from '../config'
 
 export const chunkSize = 100;
-const baseURL = 'https://oauth.reddit.com'
+const moreChildrenChunkSize = 100
+const baseURL = () => getConfig().redditURL
 
-let limitDefault = 300
-let limitRemaining = limitDefault, limitResetAtMS = 0
+// The budget is reported in response headers, and is refilled every 10 minutes
+const redditHost = new Host('Reddit API', 300, 600000, 300, {msInitialDelay: 1000, msMaxDelay: 16000})
+// Each logged-in user (and the anonymous client) has a separate budget
+subscribeToLogins(() => redditHost.reset())
 
-// Fetch JSON results from the Reddit API, respecting the reported API limits
-const fetchJson = async url => {
-  const init = await getAuth()
-
-  if (limitRemaining <= 0) {
-    const waitMS = limitResetAtMS - Date.now() + 1000
-    if (waitMS > 0) {
-      // TODO: update the UI to notify user of a delay
-      console.log(`Waiting ${waitMS}ms for Reddit API`)
-      await sleep(waitMS)
-    }
-    if (limitRemaining <= 0)
-      limitRemaining = limitDefault
-  }
-
-  limitRemaining--
-  init.headers['Accept-Language'] = 'en'
-  const response = await fetchJsonAndHeaders(url, init)
-  const headers = response.headers
-
-  const reportedLimitRemaining = parseInt(headers.get('X-Ratelimit-Remaining'))
-  const reportedLimitDefault = reportedLimitRemaining + parseInt(headers.get('X-Ratelimit-Used'))
-  if (reportedLimitDefault && reportedLimitDefault != limitDefault) {
-    // This should only happen if Reddit changes the API limits
-    console.warn('Correcting limitDefault from', limitDefault, 'to', reportedLimitDefault)
-    limitDefault = reportedLimitDefault
-  }
+// Corrects the budget using the limits reported in a response's (or error's) headers
+const updateBudget = headers => redditHost.update(
+  parseInt(headers.get('X-Ratelimit-Remaining')),
+  parseInt(headers.get('X-Ratelimit-Used')),
+  parseInt(headers.get('X-Ratelimit-Reset')) * 1000
+)
 
-  const reportedLimitResetAtMS = parseInt(headers.get('X-Ratelimit-Reset')) * 1000 + Date.now()
-  if (reportedLimitResetAtMS > limitResetAtMS + 30000) {
-    // This happens each time the Reddit API resets our limit
-    console.debug('Resetting limitResetAtMS from', limitResetAtMS, 'to', reportedLimitResetAtMS)
-    limitResetAtMS = reportedLimitResetAtMS
-  } else {
-    if (reportedLimitResetAtMS < limitResetAtMS) {
-      // This happens sporadically due to jitter
-      console.debug('Decreasing limitResetAtMS from', limitResetAtMS, 'to', reportedLimitResetAtMS)
-      limitResetAtMS = reportedLimitResetAtMS
-    }
-    if (reportedLimitRemaining < limitRemaining) {
-      // This probably shouldn't happen unless Reddit decreases the API limits
-      console.warn('Decreasing limitRemaining from', limitRemaining, 'to', reportedLimitRemaining)
-      limitRemaining = reportedLimitRemaining
+// Fetch JSON results from the Reddit API, respecting the reported API limits, and
+// retrying transient failures (including 429s, after any requested Retry-After delay)
+const fetchJson = (url, requestPriority = priority.normal, signal = undefined) =>
+  redditHost.request(async () => {
+    const init = await getAuth()
+    init.headers['Accept-Language'] = 'en'
+    init.signal = signal
+    try {
+      const response = await fetchJsonAndHeaders(url, init)
+      updateBudget(response.headers)
+      return await response.json
+    } catch (error) {
+      if (error.headers)
+        updateBudget(error.headers)
+      throw error
     }
-  }
-  return response.json
-}
+  }, {requestPriority, signal})
 
 const errorHandler = (origError, from) => {
+  if (isAbortError(origError))
+    throw origError
   console.error(from + ': ' + origError)
   const error = new Error('Could not connect to Reddit')
   error.origError = origError
@@ -75,31 +59,32 @@ const errorHandler = (origError, from) => {
 }
 
 // Return the post itself
-export const getPost = threadID => (
-  fetchJson(`${baseURL}/comments/${threadID}.json?limit=1`)
+export const getPost = (threadID, signal = undefined) => (
+  fetchJson(`${baseURL()}/comments/${threadID}.json?limit=1`, priority.high, signal)
     .then(thread => thread[0].data.children[0].data)
     .catch(error => errorHandler(error, 'reddit.getPost'))
 )
 
 //// Fetch multiple threads (via the info endpoint)
 //export const getThreads = threadIDs => (
-//  fetchJson(`${baseURL}/api/info?id=${threadIDs.map(id => `t3_${id}`).join()}`)
+//  fetchJson(`${baseURL()}/api/info?id=${threadIDs.map(id => `t3_${id}`).join()}`)
 //    .then(response => response.data.children.map(threadData => threadData.data))
 //    .catch(error => errorHandler(error, 'reddit.getThreads'))
 //)
 
 // Fetch multiple comments by id
-export const getComments = commentIDs => (
-  fetchJson(`${baseURL}/api/info?id=${commentIDs.map(id => `t1_${id}`).join()}`)
+export const getComments = (commentIDs, requestPriority = priority.high, signal = undefined) => (
+  fetchJson(`${baseURL()}/api/info?id=${commentIDs.map(id => `t1_${id}`).join()}`, requestPriority, signal)
     .then(results => results.data.children.map(({data}) => data))
     .catch(error => errorHandler(error, 'reddit.getComments'))
 )
 
 // Fetch up to 8 of a comment's parents
-export const getParentComments = (threadID, commentID, parents) => {
+export const getParentComments = (threadID, commentID, parents, signal = undefined) => {
   parents = Math.min(parents, 8)
   return fetchJson(
-      `${baseURL}/comments/${threadID}?comment=${commentID}&context=${parents}&limit=${parents}&threaded=false&showmore=false`
+      `${baseURL()}/comments/${threadID}?comment=${commentID}&context=${parents}&limit=${parents}&threaded=false&showmore=false`,
+      priority.normal, signal
     )
     .then(results => {
       const { children } = results[1].data
@@ -111,3 +96,50 @@ export const getParentComments = (threadID, commentID, parents) => {
     })
     .catch(error => errorHandler(error, 'reddit.getParentComments'))
 }
+
+// Walks a thread's entire comment tree on Reddit, expanding every "load more comments" and
+// "continue this thread" link. onComments() is called with each Array of newly found comments.
+// Resolves with the number of comments found.
+export const walkCommentTree = async (threadID, onComments, signal = undefined) => {
+  const treeURL = `${baseURL()}/comments/${threadID}?limit=500&threaded=false&showmore=true&sort=old`
+  const seen = new Set(), continued = new Set(), mores = []
+  const processThings = things => {
+    const comments = []
+    things.forEach(({kind, data}) => {
+      if (kind == 't1' && !seen.has(data.id)) {
+        seen.add(data.id)
+        comments.push(data)
+      } else if (kind == 'more')
+        mores.push(data)
+    })
+    if (comments.length)
+      onComments(comments)
+  }
+
+  try {
+    processThings((await fetchJson(treeURL, priority.bulk, signal))[1].data.children)
+    while (mores.length) {
+      const { children, parent_id } = mores.shift()
+
+      // "load more comments" links list the ids to expand
+      if (children.length) {
+        for (let i = 0; i < children.length; i += moreChildrenChunkSize) {
+          const ids = children.slice(i, i + moreChildrenChunkSize).filter(id => !seen.has(id))
+          if (ids.length)
+            processThings((await fetchJson(
+              `${baseURL()}/api/morechildren?api_type=json&link_id=t3_${threadID}&children=${ids.join()}&limit_children=false`,
+              priority.bulk, signal
+            )).json.data.things)
+        }
+
+      // "continue this thread" links require loading the subtree under their parent
+      } else if (parent_id?.startsWith('t1_') && !continued.has(parent_id)) {
+        continued.add(parent_id)
+        processThings((await fetchJson(`${treeURL}&comment=${parent_id.substring(3)}`, priority.bulk, signal))[1].data.children)
+      }
+    }
+  } catch (error) {
+    errorHandler(error, 'reddit.walkCommentTree')
+  }
+  return seen.size
+}
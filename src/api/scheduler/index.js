@@ -0,0 +1,203 @@
+import { sleep, abortError, isAbortError } from '../../utils'
+
+// Request priorities; a queued request is granted a token before any queued lower-priority requests
+export const priority = {
+  bulk:   0,  // e.g. comparing many comments
+  normal: 1,
+  high:   2   // e.g. a post or permalinked comment
+}
+
+// Waits at least this long are published to listeners (see subscribe() below)
+const minPublishedWaitMS = 2000
+
+const listeners = new Set()
+
+// Calls listener(title, msWaitUntil) when requests to a host begin waiting for its rate limit,
+// and again with an msWaitUntil of 0 when the wait is over. Returns an unsubscribe function.
+export const subscribe = listener => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+const publish = (title, msWaitUntil) => listeners.forEach(listener => listener(title, msWaitUntil))
+
+// Retries are delayed by msInitialDelay millis, doubling after each consecutive
+// failure, until the next delay would exceed msMaxDelay (and then the error is thrown)
+export const defaultRetryPolicy = {msInitialDelay: 125, msMaxDelay: 8000}
+
+// Timeouts, rate limits, and server errors are worth retrying. So are network errors, but only once the host is
+// known to be reachable, because requests that are always blocked (e.g. by Tracking Protection or CORS) fail the same way.
+export const isRetryable = (error, isReachable) => !isAbortError(error) && (
+  error.name == 'TimeoutError' || error.status == 408 || error.status == 429 || error.status >= 500 ||
+  error.isNetworkError === true && isReachable)
+
+// The delay requested by an error's Retry-After header (in seconds or as an HTTP date), if any
+const retryAfterMS = error => {
+  const retryAfter = error.headers?.get('Retry-After')
+  if (!retryAfter)
+    return 0
+  const seconds = Number(retryAfter)
+  return Math.max(isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000, 0) || 0
+}
+
+// A per-host request budget, and a priority queue of requests waiting on it
+export class Host {
+
+  // Refills refillAmount tokens every msRefillIntvl millis, storing up to size tokens.
+  // The retryPolicy is the default for request() below.
+  constructor(title, size, msRefillIntvl, refillAmount = 1, retryPolicy = defaultRetryPolicy) {
+    if (!(msRefillIntvl > 0))
+      throw RangeError('msRefillIntvl must be > 0')
+    if (!(size > 0))
+      throw RangeError('size must be > 0')
+    this.title = title
+    this._msRefillIntvl = msRefillIntvl
+    this._refillAmount = refillAmount
+    this._maxSize = size
+    this._tokens  = size
+    this._queue = []  // sorted by descending priority, then by arrival
+    this._running = false
+    this._msBlockedUntil = 0  // no tokens are granted until then (see setNextAvail() below)
+    this._isReachable = false  // whether any request has succeeded
+    this.retryPolicy = retryPolicy
+    // Invariant: this._msNextRefill is valid iff this._tokens < this._maxSize
+  }
+
+  // Calculate if/how many tokens to refill
+  _refill(msNow) {
+    if (this._tokens < this._maxSize && msNow >= this._msNextRefill) {  // this._msNextRefill is valid
+      const refills = Math.floor((msNow - this._msNextRefill) / this._msRefillIntvl) + 1
+      this._tokens += refills * this._refillAmount
+      if (this._tokens < this._maxSize)
+        this._msNextRefill += refills * this._msRefillIntvl
+      else
+        this._tokens = this._maxSize  // this._msNextRefill is now invalid
+    }
+  }
+
+  // Removes one token, waiting for it to refill (and for higher priority requests) if necessary.
+  // If the optional AbortSignal is aborted first, leaves the queue and rejects with an AbortError.
+  waitForToken(requestPriority = priority.normal, signal = undefined) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted)
+        return reject(abortError())
+      const request = {priority: requestPriority, resolve}
+      if (signal) {
+        const onAbort = () => {
+          this._queue.splice(this._queue.indexOf(request), 1)
+          reject(abortError())
+        }
+        signal.addEventListener('abort', onAbort, {once: true})
+        request.resolve = () => {
+          signal.removeEventListener('abort', onAbort)
+          resolve()
+        }
+      }
+      let idx = this._queue.findIndex(queued => queued.priority < requestPriority)
+      if (idx < 0)
+        idx = this._queue.length
+      this._queue.splice(idx, 0, request)
+      if (!this._running)
+        this._run()
+    })
+  }
+
+  // Waits for a token and resolves with the result of doRequest(), retrying retryable failures (see
+  // isRetryable() above) according to the retry policy, or for longer if requested via Retry-After.
+  // While retrying, no other requests to this host are made. Before each retry, onRetry(error, msDelay)
+  // is called, and it may return false to stop retrying (and then request() resolves with undefined).
+  async request(doRequest, {requestPriority = priority.normal, signal, retryPolicy = this.retryPolicy, onRetry} = {}) {
+    let msBackoff = 0
+    while (true) {
+      await this.waitForToken(requestPriority, signal)
+      try {
+        const result = await doRequest()
+        this._isReachable = true
+        return result
+      } catch (error) {
+        msBackoff = msBackoff * 2 || retryPolicy.msInitialDelay
+        if (!isRetryable(error, this._isReachable) || msBackoff > retryPolicy.msMaxDelay)
+          throw error
+        const msDelay = Math.max(msBackoff, retryAfterMS(error))
+        console.log(`Retrying ${this.title} in ${msDelay}ms after: ${error}`)
+        this.setNextAvail(msDelay)
+        if (onRetry && onRetry(error, msDelay) === false)
+          return
+      }
+    }
+  }
+
+  // Grants tokens to queued requests until the queue is empty
+  async _run() {
+    this._running = true
+    while (this._queue.length) {
+      const msNow = Date.now()
+      this._refill(msNow)
+      if (this._tokens > 0 && msNow >= this._msBlockedUntil) {
+        if (this._tokens == this._maxSize)                   // this._msNextRefill is invalid,
+          this._msNextRefill = msNow + this._msRefillIntvl  // make it valid
+        this._tokens--
+        this._queue.shift().resolve()
+      } else {
+        const msWaitUntil = this._tokens > 0 ? this._msBlockedUntil :  // else this._msNextRefill is valid
+          Math.max(this._msNextRefill, this._msBlockedUntil)
+        const msWait = msWaitUntil - msNow
+        if (msWait >= minPublishedWaitMS) {
+          console.log(`Waiting ${msWait}ms for ${this.title}`)
+          publish(this.title, msWaitUntil)
+          await sleep(msWait)
+          publish(this.title, 0)
+        } else
+          await sleep(msWait)
+      }
+    }
+    this._running = false
+  }
+
+  // Refills all tokens, e.g. after switching to a different account with its own budget
+  reset() {
+    this._tokens = this._maxSize  // this._msNextRefill is now invalid
+  }
+
+  // Grants no tokens until msNextAvail millis from now (e.g. while backing off), without
+  // changing the number of tokens or when they're refilled
+  setNextAvail(msNextAvail) {
+    this._msBlockedUntil = Math.max(this._msBlockedUntil, Date.now() + msNextAvail)
+  }
+
+  // Corrects the budget using the host's reported number of remaining and used
+  // tokens, and the number of millis until the budget is next refilled
+  update(reportedRemaining, reportedUsed, msUntilReset) {
+    const reportedSize = reportedRemaining + reportedUsed
+    if (reportedSize && reportedSize != this._maxSize) {
+      // This should only happen if the host changes its limits
+      console.warn('Correcting', this.title, 'budget from', this._maxSize, 'to', reportedSize)
+      this._maxSize = this._refillAmount = reportedSize
+      if (this._tokens >= this._maxSize)
+        this._tokens = this._maxSize
+    }
+    const msNow = Date.now()
+    this._refill(msNow)
+
+    if (reportedRemaining < this._tokens) {
+      // This probably shouldn't happen unless the host decreases its limits
+      console.warn('Decreasing', this.title, 'tokens from', this._tokens, 'to', reportedRemaining)
+      if (this._tokens == this._maxSize)
+        this._msNextRefill = msNow + this._msRefillIntvl
+      this._tokens = reportedRemaining
+    }
+
+    if (this._tokens < this._maxSize && msUntilReset >= 0) {  // this._msNextRefill is valid
+      const msReportedRefill = msNow + msUntilReset + 1000
+      if (msReportedRefill > this._msNextRefill + 30000) {
+        // This happens each time the host resets its limit
+        console.debug('Resetting', this.title, 'next refill from', this._msNextRefill, 'to', msReportedRefill)
+        this._msNextRefill = msReportedRefill
+      } else if (msReportedRefill < this._msNextRefill) {
+        // This happens sporadically due to jitter
+        console.debug('Decreasing', this.title, 'next refill from', this._msNextRefill, 'to', msReportedRefill)
+        this._msNextRefill = msReportedRefill
+      }
+    }
+  }
+}
@@ -2,34 +2,49 @@ import React from 'react'
 import ReactDOM from 'react-dom'
 import { BrowserRouter, Switch, Route, Redirect } from 'react-router-dom'
 import { Provider } from 'unstated'
+import { redirectPath } from './api/reddit/auth'
+import { loadConfig } from './api/config'
 
 import Header from './pages/common/Header'
 import About from './pages/about'
+import Dumps from './pages/dumps'
+import Auth from './pages/auth'
+import Settings from './pages/settings'
+import Import, { linkPrefix as importPrefix } from './pages/import'
 //import Subreddit from './pages/subreddit'
 import Thread from './pages/thread'
 import NotFound from './pages/404'
 
 /* global __dirname */  // an eslint directive
 
-ReactDOM.render(
-  <Provider>
-    <BrowserRouter basename={__dirname}>
-      <React.Fragment>
-        <Header />
-        <div className='main'>
-          <Switch>
-            <Route exact path='/' component={About} />
-            <Route path='/about' component={About} />
-            <Route path='/r/:subreddit/comments/:threadID/:junk/:commentID' component={Thread} />
-            <Route path='/r/:subreddit/comments/:threadID' component={Thread} />
-            <Redirect from='/user/:username/comments/:threadID/:junk/:commentID'
-                      to='/r/u_:username/comments/:threadID/:junk/:commentID' />
-            <Redirect from='/user/:username/comments/:threadID' to='/r/u_:username/comments/:threadID' />
-            <Route component={NotFound} />
-          </Switch>
-        </div>
-      </React.Fragment>
-    </BrowserRouter>
-  </Provider>,
-  document.getElementById('app')
-)
+// The configuration must be loaded before any API requests are made
+loadConfig().then(() => {
+  ReactDOM.render(
+    <Provider>
+      <BrowserRouter basename={__dirname}>
+        <React.Fragment>
+          <Header />
+          <div className='main'>
+            <Switch>
+              <Route exact path='/' component={About} />
+              <Route path='/about' component={About} />
+              <Route path='/dumps' component={Dumps} />
+              <Route path='/settings' component={Settings} />
+              <Route path={redirectPath} component={Auth} />
+              <Route path={`${importPrefix}/r/:subreddit/comments/:threadID/:junk/:commentID`} component={Import} />
+              <Route path={`${importPrefix}/r/:subreddit/comments/:threadID`} component={Import} />
+              <Route path={importPrefix} component={Import} />
+              <Route path='/r/:subreddit/comments/:threadID/:junk/:commentID' component={Thread} />
+              <Route path='/r/:subreddit/comments/:threadID' component={Thread} />
+              <Redirect from='/user/:username/comments/:threadID/:junk/:commentID'
+                        to='/r/u_:username/comments/:threadID/:junk/:commentID' />
+              <Redirect from='/user/:username/comments/:threadID' to='/r/u_:username/comments/:threadID' />
+              <Route component={NotFound} />
+            </Switch>
+          </div>
+        </React.Fragment>
+      </BrowserRouter>
+    </Provider>,
+    document.getElementById('app')
+  )
+})
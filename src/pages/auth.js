@@ -0,0 +1,23 @@
+import React, { useEffect } from 'react'
+import { connect } from '../state'
+import { completeLogin } from '../api/reddit/auth'
+
+// Reddit redirects here after the user authorizes (or declines) a login
+const Auth = props => {
+  document.title = 'Logging in'
+  const { global, history, location } = props
+
+  useEffect(() => {
+    global.setLoading('Logging in to Reddit...')
+    completeLogin(location.search)
+      .then(returnPath => {
+        global.setSuccess()
+        history.replace(returnPath)
+      })
+      .catch(error => global.setError(error))
+  }, [global, history, location.search])
+
+  return <div id='main'><div id='main-box' /></div>
+}
+
+export default connect(Auth)
@@ -0,0 +1,39 @@
+import React, { useState } from 'react'
+import { prettyDate, exactDateTime, parse } from '../../utils'
+import { Diff } from '@ali-tas/htmldiff-js'
+
+// Lists every known version of a comment's body or post's selftext (see addVersion() in
+// utils), and shows the differences between the two selected versions
+const EditHistory = ({ id, versions }) => {
+  const [from, setFrom] = useState(0)
+  const [to, setTo]     = useState(versions.length - 1)
+  const fromHTML = parse(versions[from].text)
+
+  return <div className='edit-history'>
+    <table>
+      <thead>
+        <tr>
+          <th title='Show differences from this version'>from</th>
+          <th title='Show differences to this version'>to</th>
+          <th>captured</th>
+          <th>source</th>
+        </tr>
+      </thead>
+      <tbody>
+        {versions.map((version, i) =>
+          <tr key={i}>
+            <td><input type='radio' name={`${id}-from`} checked={i == from} onChange={() => setFrom(i)} /></td>
+            <td><input type='radio' name={`${id}-to`}   checked={i == to}   onChange={() => setTo(i)} /></td>
+            <td title={exactDateTime(version.captured)}>{prettyDate(version.captured)}</td>
+            <td>{version.source}</td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+    <div className='user-text' dangerouslySetInnerHTML={{
+      __html: from == to ? fromHTML : Diff.execute(fromHTML, parse(versions[to].text))
+    }} />
+  </div>
+}
+
+export default EditHistory
@@ -1,7 +1,45 @@
-import React from 'react'
-import { Link } from 'react-router-dom'
+import React, { useState, useEffect } from 'react'
+import { Link, withRouter } from 'react-router-dom'
 import { connect } from '../../state'
-import { theme } from '../../state'
+import { theme, networkMode } from '../../state'
+import { login, logout } from '../../api/reddit/auth'
+import { getRecording, download } from '../../utils'
+
+// Counts down the seconds remaining until msWaitUntil
+const RateLimitWait = ({ title, msWaitUntil }) => {
+  const [msNow, setMsNow] = useState(Date.now())
+  useEffect(() => {
+    const interval = setInterval(() => setMsNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [])
+  return <p className='status-wait'>
+    waiting {Math.max(Math.ceil((msWaitUntil - msNow) / 1000), 0)}s for {title} rate limit
+  </p>
+}
+
+// Shown while recording or replaying network traffic
+const NetworkMode = ({ global }) => {
+  if (global.state.networkMode == networkMode.recording) {
+    const { exchanges, recordedAt } = getRecording()
+    return <p className='status-wait'>
+      recording network traffic
+      <span className='space' />
+      <input type='button' value='Download'
+        onClick={() => download(`unddit-recording-${recordedAt.replace(/\D/g, '').substring(0, 14)}.json`,
+          JSON.stringify(getRecording()))}
+        title={`${exchanges.length} requests so far`} />
+      <span className='space' />
+      <input type='button' value='Stop' onClick={() => global.stopNetworkMode()} />
+    </p>
+  }
+  if (global.state.networkMode == networkMode.replaying)
+    return <p className='status-wait'>
+      replaying recorded network traffic
+      <span className='space' />
+      <input type='button' value='Stop' onClick={() => global.stopNetworkMode()} />
+    </p>
+  return null
+}
 
 const Header = props => (
   <header>
@@ -23,10 +61,27 @@ const Header = props => (
           <label htmlFor={theme.system} title='Same mode as system'>&#x1F4BB;&#xFE0E;</label>
           <a />
         </span>
+        {!props.global.state.redditLoggedIn ?
+          <a className='nowrap' title='Log in to use your own Reddit account and rate limit' tabIndex={0}
+            onClick=  {() => login(props.location.pathname + props.location.search)}
+            onKeyDown={e => e.key == 'Enter' && login(props.location.pathname + props.location.search)}>log in</a> :
+          <a className='nowrap' title={`Logged in to Reddit as ${props.global.state.redditUsername || 'unknown'}`} tabIndex={0}
+            onClick=  {() => logout()}
+            onKeyDown={e => e.key == 'Enter' && logout()}>log out</a> }
+        <span className='space' />
+        <Link className='nowrap' to='/dumps'>local dumps</Link>
+        <span className='space' />
+        <Link className='nowrap' to='/import' title='Open a previously exported thread'>import</Link>
+        <span className='space' />
+        <Link className='nowrap' to='/settings'>settings</Link>
+        <span className='space' />
         <Link className='nowrap' to='/about'>about & FAQ</Link>
       </nav>
     </div>
     <div id='status'>
+      <NetworkMode global={props.global} />
+      {Object.entries(props.global.state.rateLimitWaits).map(([title, msWaitUntil]) =>
+        <RateLimitWait key={title} title={title} msWaitUntil={msWaitUntil} />)}
       {props.global.state.statusText &&
         <p id='status-text'>{props.global.state.statusText}</p>}
       {props.global.state.statusHelpUrl &&
@@ -37,4 +92,4 @@ const Header = props => (
   </header>
 )
 
-export default connect(Header)
+export default withRouter(connect(Header))
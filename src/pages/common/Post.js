@@ -1,12 +1,14 @@
 import React, { useState } from 'react'
 import { Link } from 'react-router-dom'
 import { prettyScore, prettyDate, prettyTimeDiff, exactDateTime, parse, redditThumbnails,
-         isDeleted, isRemoved, editedModes, editedTitles } from '../../utils'
+         isDeleted, isRemoved, removedByTitles, editedModes, editedTitles } from '../../utils'
 import { Diff } from '@ali-tas/htmldiff-js'
+import EditHistory from './EditHistory'
 
 const hasOwnProperty = Object.prototype.hasOwnProperty
 
 const Post = (props) => {
+  const linkPrefix = props.linkPrefix || ''  // e.g. for imported threads
   if (!props.title) {
     const permalink = `/r/${props.subreddit}/comments/${props.id}/`
     return <div className={props.removed ? 'thread removed' : 'thread'} key={props.removed ? 'post-removed' : 'post-empty'}>
@@ -15,9 +17,9 @@ const Post = (props) => {
         <div className="thread-score">?</div>
         <div className="vote downvote" />
       </div>
-      <Link className="thumbnail thumbnail-default" to={permalink} replace={props.isLocFullPost} />
+      <Link className="thumbnail thumbnail-default" to={linkPrefix + permalink} replace={props.isLocFullPost} />
       <div className="thread-content">
-        <Link className="thread-title" to={permalink} replace={props.isLocFullPost}>
+        <Link className="thread-title" to={linkPrefix + permalink} replace={props.isLocFullPost}>
           {props.removed ? '[removed too quickly to be archived]' : '...'}
         </Link>
         <div className='thread-info'>&nbsp;</div>
@@ -38,7 +40,7 @@ const Post = (props) => {
   const isUrlThisPost = url.origin == document.location.origin &&
     (new RegExp(`/(?:r|user)/[^/]+/comments/${props.id}\\b`)).test(url.pathname)
   if (isUrlThisPost)
-    url = url.href.substring(url.origin.length)
+    url = linkPrefix + url.href.substring(url.origin.length)
 
   const userLink = isDeleted(props.author) ? undefined : `https://www.reddit.com/user/${props.author}`
 
@@ -78,9 +80,12 @@ const Post = (props) => {
 
   // eslint-disable-next-line react-hooks/rules-of-hooks
   const [editedMode, setEditedMode] = useState(editedModes.dfault)
+  // eslint-disable-next-line react-hooks/rules-of-hooks
+  const [showHistory, setShowHistory] = useState(false)
+  const hasHistory = props.versions?.length > 1
 
   const totalComments = <div className='total-comments'>
-    <Link to={props.permalink} replace={props.isLocFullPost}>{props.num_comments}&nbsp;comments</Link>&nbsp;
+    <Link to={linkPrefix + props.permalink} replace={props.isLocFullPost}>{props.num_comments}&nbsp;comments</Link>&nbsp;
     <a href={`https://www.reddit.com${props.permalink}`}>reddit</a>&nbsp;
     <a href={`https://www.reveddit.com${props.permalink}`}>reveddit</a>
     {hasOwnProperty.call(props, 'edited_selftext') &&
@@ -89,6 +94,12 @@ const Post = (props) => {
          tabIndex= {0}
          title=    {editedTitles[editedMode]}
       >*edited</a>}
+    {hasHistory &&
+      <a onClick=  {() => setShowHistory(!showHistory)}
+         onKeyDown={e => e.key == 'Enter' && setShowHistory(!showHistory)}
+         tabIndex= {0}
+         title=    {showHistory ? 'Hide the edit history' : `Compare all ${props.versions.length} known versions`}
+      >history</a>}
   </div>
 
   return <div className={props.removed ? 'removed' : props.deleted ? 'deleted' : undefined} key="post-found">
@@ -117,13 +128,18 @@ const Post = (props) => {
             <span className='thread-time' title={exactDateTime(props.edited)}> * (last edited {prettyDate(props.edited)})</span>
           }
           &nbsp;by <a className='thread-author author' href={userLink}>{props.author}</a> to /r/{props.subreddit}
+          {props.removedBy &&
+            <span className={`removed-by-${props.removedBy}-text`}> [{removedByTitles[props.removedBy]}]</span>
+          }
         </div>
         {innerHTML[editedModes.dfault] === undefined && totalComments}
       </div>
     </div>
     {innerHTML[editedModes.dfault] !== undefined &&
       <div className='thread-content'>
-        <div className='thread-selftext user-text' dangerouslySetInnerHTML={{ __html: innerHTML[editedMode] }} />
+        {hasHistory && showHistory ?
+          <EditHistory id={props.id} versions={props.versions} /> :
+          <div className='thread-selftext user-text' dangerouslySetInnerHTML={{ __html: innerHTML[editedMode] }} />}
         {totalComments}
       </div>
     }
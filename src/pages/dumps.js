@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react'
+import { connect } from '../state'
+import { importDump, getCounts, clearDumps } from '../api/local'
+import { defaultProvider } from '../api/archive'
+import { getCacheStats, clearCache } from '../api/cache'
+
+const Dumps = props => {
+  document.title = 'Local dumps'
+  const [counts, setCounts] = useState()
+  const [cacheStats, setCacheStats] = useState()
+  const [importing, setImporting] = useState(false)
+  const [progress, setProgress] = useState('')
+  const { global } = props
+
+  useEffect(() => {
+    global.clearStatus()
+    getCounts()
+      .then(setCounts)
+      .catch(error => global.setError(error))
+    getCacheStats()
+      .then(setCacheStats)
+      .catch(error => global.setError(error))
+  }, [global])
+
+  const importFiles = async files => {
+    setImporting(true)
+    try {
+      for (const file of files) {
+        global.setLoading(`Importing ${file.name}...`)
+        const imported = await importDump(file, (fraction, { posts, comments }) =>
+          setProgress(`${file.name}: ${Math.floor(fraction * 100)}% (${posts} posts, ${comments} comments)`))
+        setProgress(`${file.name}: imported ${imported.posts} posts and ${imported.comments} comments` +
+          (imported.skipped ? `, skipped ${imported.skipped} lines` : ''))
+      }
+      global.setSuccess()
+    } catch (error) {
+      global.setError(error)
+    }
+    setImporting(false)
+    getCounts()
+      .then(setCounts)
+      .catch(error => global.setError(error))
+  }
+
+  return (
+    <div id='main'>
+      <div id='main-box'>
+        <h2 className='about'>Local dumps</h2>
+        <p>
+          Import Reddit submission and comment dumps (one JSON object per line, optionally
+          compressed with zstd) to view removed comments from them instead of from an online archive.
+          Imported dumps are stored only in this browser.
+        </p>
+        <p>
+          <input type='file' multiple accept='.ndjson,.jsonl,.json,.zst' disabled={importing}
+            onChange={e => importFiles(Array.from(e.target.files))} />
+          {progress && <><br />{progress}</>}
+        </p>
+        {counts && <p>
+          Currently stored: {counts.posts} posts and {counts.comments} comments
+          <span className='space' />
+          <input type='button' value='Clear' disabled={importing || !(counts.posts || counts.comments)}
+            onClick={() => clearDumps().then(getCounts).then(setCounts).catch(error => global.setError(error))} />
+        </p>}
+        <p>
+          <label>
+            <input type='checkbox' checked={global.state.archiveProvider == 'local'}
+              onChange={e => global.setArchiveProvider(e.target.checked ? 'local' : defaultProvider)} />
+            Use local dumps instead of Pushshift
+          </label>
+        </p>
+        <h2 className='contact'>Cache</h2>
+        <p>
+          Previously viewed threads are cached in this browser so that revisiting them only
+          downloads newer comments. Threads are removed from the cache after 30 days.
+        </p>
+        {cacheStats && <p>
+          Currently cached: {cacheStats.threads} threads ({(cacheStats.size / 1048576).toFixed(1)} MB)
+          <span className='space' />
+          <input type='button' value='Clear cache' disabled={!cacheStats.threads}
+            onClick={() => clearCache().then(getCacheStats).then(setCacheStats).catch(error => global.setError(error))} />
+        </p>}
+      </div>
+    </div>
+  )
+}
+
+export default connect(Dumps)
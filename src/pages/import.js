@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { connect } from '../state'
+import { isDeleted, isRemoved, getRemovedBy, download } from '../utils'
+import { snapshotFormat, snapshotVersion, exporters } from './thread/exporters'
+import Post from './common/Post'
+import CommentInfo from './thread/CommentInfo'
+import Analytics from './thread/Analytics'
+import SortBy from './thread/SortBy'
+import CommentSection, { scrollToComment, subscribeToDisplayed } from './thread/CommentSection'
+import AuthorFocus from './thread/AuthorFocus'
+import ThreadSearch from './thread/ThreadSearch'
+
+// Displays a thread snapshot (as exported by ./thread/exporters) without any network access.
+// Permalinks within an imported thread are prefixed with linkPrefix.
+
+export const linkPrefix = '/import'
+
+// Key for sessionStorage, holding the last imported snapshot so that it survives reloading the page
+const snapshotKey = 'importedSnapshot'
+
+// The last imported snapshot: { post, comments (a Map of IDs to comments), removed, deleted }
+let snapshot
+
+// Removes any 't1_' or 't3_' type prefix from a Reddit ID
+const stripPrefix = id => typeof id == 'string' ? id.replace(/^t\d_/, '') : id
+
+// Validates a parsed snapshot file, and returns it in the form of the snapshot variable above
+const loadSnapshot = json => {
+  if (json?.format !== undefined && json.format != snapshotFormat || !(json?.post?.id && Array.isArray(json.comments)))
+    throw new Error('This is not an exported thread')
+  if (json.version > snapshotVersion)
+    throw new Error('This thread was exported by a newer version of this site')
+
+  const post = json.post
+  if (!post.subreddit)
+    post.subreddit = json.comments[0]?.subreddit || '_'
+  if (!post.permalink)
+    post.permalink = `/r/${post.subreddit}/comments/${post.id}/_/`
+  let removed = 0, deleted = 0
+  const comments = new Map()
+  json.comments.forEach(comment => {
+    if (!comment?.id)
+      return
+    comment.id        = stripPrefix(comment.id)
+    comment.link_id   = stripPrefix(comment.link_id) || post.id
+    comment.parent_id = stripPrefix(comment.parent_id) || comment.link_id
+    comment.subreddit = comment.subreddit || post.subreddit
+    // Snapshots in the archive's format (rather than exported from this site) lack these flags
+    if (comment.removed === undefined && comment.deleted === undefined) {
+      if (isRemoved(comment.body))
+        comment.removed = true
+      else if (isDeleted(comment.body))
+        comment.deleted = true
+    }
+    if (comment.removedBy === undefined)
+      comment.removedBy = getRemovedBy(comment)
+    if (comment.removed)
+      removed++
+    else if (comment.deleted)
+      deleted++
+    comments.set(comment.id, comment)
+  })
+  return { post, comments, removed, deleted }
+}
+
+const restoreSnapshot = () => {
+  if (snapshot)
+    return snapshot
+  const saved = window.sessionStorage.getItem(snapshotKey)
+  if (saved) {
+    try {
+      snapshot = loadSnapshot(JSON.parse(saved))
+    } catch (error) {
+      window.sessionStorage.removeItem(snapshotKey)
+    }
+  }
+  return snapshot
+}
+
+const Import = props => {
+  const { global, history, location } = props
+  const { threadID, commentID } = props.match.params
+  const current = restoreSnapshot()
+  const isLoaded = current && current.post.id == threadID
+  const [dragging, setDragging] = useState(false)
+  const [showAnalytics, setShowAnalytics] = useState(false)
+  const [focusAuthor, setFocusAuthor] = useState()
+  const [focusOnly, setFocusOnly] = useState(false)
+  const [search, setSearch] = useState()
+  const [moreContextAvail, setMoreContextAvail] = useState(false)
+  const [allCommentsFiltered, setAllCommentsFiltered] = useState(false)
+
+  document.title = isLoaded ? current.post.title || 'Imported thread' : 'Import'
+
+  useEffect(() => {
+    global.clearStatus()
+  }, [global])
+
+  useEffect(() => {
+    global.applyViewQuery(location.search)
+  }, [global, location.search])
+  useEffect(() => () => global.resetView(), [global])
+
+  // Handle any requested scrolling, including once CommentSection displays the comments
+  useEffect(() => {
+    const scrollToHash = () => {
+      if (location.state?.scrollBehavior && location.hash.length > 1 &&
+          scrollToComment(location.hash.substring(1), {behavior: location.state.scrollBehavior}))
+        delete location.state
+    }
+    scrollToHash()
+    return subscribeToDisplayed(scrollToHash)
+  }, [location])
+
+  const importFile = async file => {
+    try {
+      const text = await file.text()
+      snapshot = loadSnapshot(JSON.parse(text))
+      try {
+        window.sessionStorage.setItem(snapshotKey, text)
+      } catch (error) {
+        console.warn('Import: snapshot is too large to survive reloading:', error)
+      }
+      setFocusAuthor(undefined)
+      setFocusOnly(false)
+      setSearch(undefined)
+      global.clearStatus()
+      history.push(linkPrefix + snapshot.post.permalink)
+    } catch (error) {
+      global.setError(error instanceof SyntaxError ? new Error('This is not an exported thread') : error)
+    }
+  }
+
+  if (!isLoaded) {
+    return (
+      <div id='main'>
+        <div id='main-box'
+          className={dragging ? 'dragging' : undefined}
+          onDragOver= {e => {e.preventDefault(); setDragging(true)}}
+          onDragLeave={() => setDragging(false)}
+          onDrop=     {e => {e.preventDefault(); setDragging(false); e.dataTransfer.files[0] && importFile(e.dataTransfer.files[0])}}>
+          <h2 className='about'>Import a thread</h2>
+          <p>
+            Drop a thread previously exported as JSON here, or choose the file below, to view it
+            exactly as it was when exported. Nothing is downloaded while viewing an imported thread.
+          </p>
+          <p>
+            <input type='file' accept='.json' onChange={e => e.target.files[0] && importFile(e.target.files[0])} />
+          </p>
+          {threadID && <p>
+            Thread {threadID} hasn&apos;t been imported in this tab, or it was too large to keep after reloading.
+          </p>}
+          {current && <p>
+            Return to the last imported thread: <Link to={linkPrefix + current.post.permalink}>
+              {current.post.title || current.post.id}</Link>
+          </p>}
+        </div>
+      </div>
+    )
+  }
+
+  const { post, comments } = current
+  const root = commentID || post.id
+  const context = commentID ? Math.min(Math.max(parseInt((new URLSearchParams(location.search)).get('context')) || 0, 0), 8) : 0
+  const exportThread = format => {
+    const { filename, text, type } = exporters[format][1](post, comments)
+    download(filename, text, type)
+  }
+
+  return (
+    <>
+      <Post {...post} linkPrefix={linkPrefix} isLocFullPost={!commentID && !location.hash} />
+      <CommentInfo
+        comments={comments}
+        total={comments.size}
+        removed={current.removed}
+        deleted={current.deleted}
+        showAnalytics={showAnalytics}
+        toggleAnalytics={() => setShowAnalytics(!showAnalytics)}
+      />
+      {showAnalytics &&
+        <Analytics
+          comments={comments}
+          postID={post.id}
+          total={comments.size}
+          removed={current.removed}
+        />
+      }
+      <SortBy
+        allCommentsFiltered={allCommentsFiltered}
+        loadedAllComments={true}
+        total={comments.size}
+        isSnapshot={true}
+        onExport={exportThread}
+      />
+      <ThreadSearch
+        comments={comments}
+        total={comments.size}
+        search={search}
+        setSearch={setSearch}
+      />
+      {commentID &&
+        <div className='view-rest-of-comment'>
+          <div>you are viewing a single comment&apos;s thread.</div><div>
+          <span className='nowrap'><Link to={() => ({
+            pathname: linkPrefix + post.permalink,
+            hash: '#comment-info',
+            state: {scrollBehavior: 'smooth'}}
+          )}>view the rest of the comments</Link> &rarr;</span>
+          {moreContextAvail && context < 8 && <>
+            <span className='space' />
+            <span className='nowrap'><Link to={() => ({
+              pathname: `${linkPrefix}/r/${post.subreddit}/comments/${post.id}/_/${commentID}/`,
+              search: `?context=${context < 4 ? 4 : 8}`}
+            )}>view more context</Link> &rarr;</span>
+          </>}
+        </div></div>
+      }
+      {focusAuthor !== undefined &&
+        <AuthorFocus
+          key={focusAuthor}
+          author={focusAuthor}
+          comments={comments}
+          total={comments.size}
+          focusOnly={focusOnly}
+          setFocusOnly={setFocusOnly}
+          clearFocus={() => {setFocusAuthor(undefined); setFocusOnly(false)}}
+        />
+      }
+      <CommentSection
+        root={root}
+        context={context}
+        postID={post.id}
+        comments={comments}
+        postAuthor={isDeleted(post.author) ? null : post.author}
+        commentFilter={global.state.commentFilter}
+        commentSort={global.state.commentSort}
+        commentFilters={global.state.commentFilters}
+        mutedAuthors={global.state.mutedAuthors}
+        total={comments.size}
+        focusAuthor={focusAuthor}
+        focusOnly={focusOnly}
+        setFocusAuthor={setFocusAuthor}
+        muteAuthor={global.muteAuthor}
+        search={search}
+        linkPrefix={linkPrefix}
+        setMoreContextAvail={setMoreContextAvail}
+        setAllCommentsFiltered={setAllCommentsFiltered}
+      />
+    </>
+  )
+}
+
+export default connect(Import)
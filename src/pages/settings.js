@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react'
+import { connect, networkMode } from '../state'
+import { getBaseConfig, getOverrides, setOverrides, configURL } from '../api/config'
+
+const fields = [
+  ['pushshiftURL',  'Pushshift API'],
+  ['redditURL',     'Reddit API'],
+  ['redditAuthURL', 'Reddit login'],
+  ['clientID',      'Reddit client ID']
+]
+
+const Settings = props => {
+  document.title = 'Settings'
+  const [overrides, setOverridesField] = useState(getOverrides())
+  const base = getBaseConfig()
+  const { global, history } = props
+  const recording = global.state.networkMode == networkMode.recording
+
+  useEffect(() => {
+    global.clearStatus()
+  }, [global])
+
+  // Saved settings are applied by reloading, so that no tokens or downloads from the old servers linger
+  const save = newOverrides => {
+    setOverrides(newOverrides)
+    window.location.reload()
+  }
+
+  const replay = async file => {
+    try {
+      const location = global.startReplay(JSON.parse(await file.text()))
+      history.push(location)
+    } catch (error) {
+      global.setError(error)
+    }
+  }
+
+  return (
+    <div id='main'>
+      <div id='main-box'>
+        <h2 className='about'>Servers</h2>
+        <p>
+          These override the defaults (or those in {configURL} if present) for this browser only.
+          Leave a field empty to use its default.
+        </p>
+        <form onSubmit={e => {e.preventDefault(); save(overrides)}}>
+          {fields.map(([key, title]) =>
+            <p key={key}>
+              <label htmlFor={key}>{title}:</label>
+              <span className='space' />
+              <input id={key} type='text' size='40' placeholder={base[key]} value={overrides[key] || ''}
+                onChange={e => setOverridesField({...overrides, [key]: e.target.value})} />
+            </p>
+          )}
+          <p>
+            <input type='submit' value='Save and reload' />
+            <span className='space' />
+            <input type='button' value='Reset to defaults' onClick={() => save({})} />
+          </p>
+        </form>
+        <h2 className='contact'>Debugging</h2>
+        <p>
+          To help reproduce a problem, record the network traffic while it occurs and then download the
+          recording using the button at the top of the page. Recordings don&apos;t include passwords or tokens,
+          but they do include everything that was downloaded. Cached threads aren&apos;t used while recording.
+        </p>
+        <p>
+          <input type='button' value={recording ? 'Recording...' : 'Start recording'} disabled={recording}
+            onClick={() => global.startRecording()} />
+        </p>
+        <p>
+          <label htmlFor='replayFile'>Replay a recording:</label>
+          <span className='space' />
+          <input id='replayFile' type='file' accept='.json' disabled={global.state.networkMode == networkMode.replaying}
+            onChange={e => e.target.files[0] && replay(e.target.files[0])} />
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default connect(Settings)
@@ -0,0 +1,59 @@
+import React, { useMemo } from 'react'
+import { analyzeThread } from './moderationStats'
+import { getProcent } from './CommentInfo'
+
+// A horizontal bar chart of buckets; if they have a total, the removed portion is highlighted
+const Bars = ({ buckets, max }) =>
+  <table className='analytics-bars'>
+    <tbody>
+      {buckets.map(({ label, total, removed }, i) =>
+        <tr key={i}>
+          <td className='nowrap'>{label}</td>
+          <td className='analytics-bar-cell'>
+            <div className={total === undefined ? 'analytics-bar analytics-bar-removed' : 'analytics-bar'} style={{width: `${getProcent(total ?? removed, max)}%`}}>
+              {total !== undefined &&
+                <div className='analytics-bar-removed' style={{width: `${getProcent(removed, total)}%`}} />}
+            </div>
+          </td>
+          <td className='nowrap'>
+            {total === undefined ? removed : `${removed}/${total} (${getProcent(removed, total)}%)`}
+          </td>
+        </tr>
+      )}
+    </tbody>
+  </table>
+
+// Moderation statistics of the comments downloaded so far
+const Analytics = ({ comments, postID, total, removed }) => {
+  // comments is updated in place, so total and removed are used to detect changes
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const stats = useMemo(() => analyzeThread(comments, postID), [comments, postID, total, removed])
+  const maxOf = (buckets, key) => Math.max(...buckets.map(bucket => bucket[key]), 1)
+
+  if (stats.removed == 0)
+    return <div id='analytics'><p>No removed comments found.</p></div>
+
+  return <div id='analytics'>
+    <h4>removed comments by creation time</h4>
+    <Bars buckets={stats.timeline} max={maxOf(stats.timeline, 'total')} />
+
+    <h4 title='Only includes comments removed before they were archived'>time until removal</h4>
+    {stats.removalTimes.some(bucket => bucket.removed) ?
+      <Bars buckets={stats.removalTimes} max={maxOf(stats.removalTimes, 'removed')} /> :
+      <p>None of the removed comments were removed before they were archived.</p>}
+
+    <h4>removed comments by depth</h4>
+    <Bars buckets={stats.depths} max={maxOf(stats.depths, 'total')} />
+
+    <h4>authors with the most removed comments</h4>
+    {stats.topAuthors.length ?
+      <Bars buckets={stats.topAuthors.map(([ label, removed ]) => ({ label, removed }))}
+        max={stats.topAuthors[0][1]} /> :
+      <p>The authors of the removed comments are unknown.</p>}
+
+    <h4>removed replies whose parent was also removed</h4>
+    <p>{stats.parentRemoved}/{stats.repliesRemoved} ({getProcent(stats.parentRemoved, stats.repliesRemoved)}%)</p>
+  </div>
+}
+
+export default Analytics
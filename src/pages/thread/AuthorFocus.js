@@ -0,0 +1,55 @@
+import React, { useState, useMemo } from 'react'
+import { scrollToNextComment } from './CommentSection'
+
+// Shows the focused author's comment counts in this thread, and steps through their comments
+const AuthorFocus = ({ author, comments, total, focusOnly, setFocusOnly, clearFocus }) => {
+  const [curIdx, setCurIdx] = useState(-1)
+
+  const counts = useMemo(() => {
+    const counts = {comments: 0, removed: 0, deleted: 0, edited: 0}
+    comments.forEach(comment => {
+      if (comment?.author !== author)
+        return
+      counts.comments++
+      if (comment.removed)
+        counts.removed++
+      else if (comment.deleted)
+        counts.deleted++
+      if (Object.prototype.hasOwnProperty.call(comment, 'edited_body') || comment.edited)
+        counts.edited++
+    })
+    return counts
+  // comments is updated in place, so total is used to detect changes
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [comments, author, total])
+
+  // Scrolls to the next (or previous if delta is -1) of the author's displayed comments
+  const step = delta => setCurIdx(scrollToNextComment(id => comments.get(id)?.author === author, curIdx, delta))
+
+  const onKey = action => e => e.key == 'Enter' && action()
+  return <div id='author-focus'>
+    <span className='nowrap'>
+      focused on <a className='author' href={`https://www.reddit.com/user/${author}`}>{author}</a>:
+    </span>
+    <span className='space' />
+    <span className='nowrap'>
+      {counts.comments} comments, <span className='removed-text'>{counts.removed} removed</span>,
+      <span className='deleted-text'> {counts.deleted} deleted</span>, {counts.edited} edited
+    </span>
+    <span className='space' />
+    <span className='nowrap'>
+      <a onClick={() => step(-1)} onKeyDown={onKey(() => step(-1))} tabIndex={0}>&larr; prev</a>
+      <span className='space' />
+      <a onClick={() => step(1)} onKeyDown={onKey(() => step(1))} tabIndex={0}>next &rarr;</a>
+    </span>
+    <span className='space' />
+    <label className='nowrap'>
+      <input type='checkbox' checked={focusOnly} onChange={e => setFocusOnly(e.target.checked)} />
+      only their comments
+    </label>
+    <span className='space' />
+    <a onClick={clearFocus} onKeyDown={onKey(clearFocus)} tabIndex={0}>clear</a>
+  </div>
+}
+
+export default AuthorFocus
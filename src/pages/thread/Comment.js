@@ -1,25 +1,14 @@
-import React, { useState } from 'react'
+import React, { useState, useMemo } from 'react'
 import { Link, NavLink } from 'react-router-dom'
 import { prettyScore, prettyDate, prettyTimeDiff, exactDateTime,
-         parse, isRemoved, editedModes, editedTitles } from '../../utils'
+         parse, isRemoved, isDeleted, removedBy, removedByTitles, editedModes, editedTitles, highlightHTML } from '../../utils'
 import { Diff } from '@ali-tas/htmldiff-js'
+import EditHistory from '../common/EditHistory'
 
 const hasOwnProperty = Object.prototype.hasOwnProperty
 
-const Comment = (props) => {
-  let commentStyle = 'comment '
-
-  if (props.removed) {
-    commentStyle += 'removed'
-  } else if (props.deleted) {
-    commentStyle += 'deleted'
-  } else {
-    commentStyle += props.depth % 2 === 0 ? 'comment-even' : 'comment-odd'
-  }
-  if (props.id == props.highlightedID) {
-    commentStyle += ' highlighted'
-  }
-
+// Returns the comment's body as HTML, indexed by editedModes
+const bodyHTML = props => {
   const innerHTML = Array(editedModes.length)
   if (props.removed && isRemoved(props.body)) {
     if (!hasOwnProperty.call(props, 'retrieved_utc') && !hasOwnProperty.call(props, 'retrieved_on') || !hasOwnProperty.call(props, 'created_utc')) {
@@ -44,14 +33,51 @@ const Comment = (props) => {
     } else
       innerHTML[editedModes.dfault] = parse(props.body)
   }
+  return innerHTML
+}
 
-  const [collapsed, setCollapsed] = useState(false)
+const Comment = (props) => {
+  let commentStyle = 'comment '
+
+  if (props.removed) {
+    commentStyle += 'removed'
+  } else if (props.deleted) {
+    commentStyle += 'deleted'
+  } else {
+    commentStyle += props.depth % 2 === 0 ? 'comment-even' : 'comment-odd'
+  }
+  if (props.removedBy) {
+    commentStyle += ` removed-by-${props.removedBy}`
+  }
+  if (props.id == props.highlightedID) {
+    commentStyle += ' highlighted'
+  }
+  if (props.focusAuthor !== undefined && props.author === props.focusAuthor) {
+    commentStyle += ' focused'
+  }
+  const isSearchMatch = props.search?.matches.has(props.id)
+  if (isSearchMatch) {
+    commentStyle += ' search-match'
+  }
+
+  // Rendering markdown is slow, and comments are re-rendered periodically while downloading
+  const innerHTML = useMemo(() => bodyHTML(props),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [props.removed, props.body, props.edited_body, props.retrieved_utc, props.retrieved_on, props.created_utc])
+
+  // CommentSection keeps the collapse state; when flat (see VirtualCommentList), replies aren't rendered
+  // here and the list passes in just this comment's collapse state
+  const collapsed    = props.flat ? props.collapsed : props.collapsedIDs.has(props.id)
+  const setCollapsed = props.flat ? props.setCollapsed : isCollapsed => props.setCommentCollapsed(props.id, isCollapsed)
   const [editedMode, setEditedMode] = useState(editedModes.dfault)
+  const [showHistory, setShowHistory] = useState(false)
+  const hasHistory = props.versions?.length > 1
   const permalink = `/r/${props.subreddit}/comments/${props.link_id}/_/${props.id}/`
+  const linkPrefix = props.linkPrefix || ''  // e.g. for imported threads
   const parentlink = props.parent_id == props.link_id ? undefined : (
     props.depth == 0 ?
       <NavLink
-        to={`/r/${props.subreddit}/comments/${props.link_id}/_/${props.parent_id}/`}
+        to={`${linkPrefix}/r/${props.subreddit}/comments/${props.link_id}/_/${props.parent_id}/`}
         activeClassName='wait'
       >parent</NavLink>
     :
@@ -61,7 +87,7 @@ const Comment = (props) => {
 
   return (
     <div id={props.id} className={commentStyle}>
-      <div className={collapsed ? 'comment-head comment-collapsed' : 'comment-head'}>
+      <div className={collapsed ? 'comment-head comment-collapsed' : 'comment-head'} tabIndex={-1}>
         <a onClick=  {() => setCollapsed(!collapsed)}
            onKeyDown={e => e.key == "Enter" && setCollapsed(!collapsed)}
            tabIndex= {0}
@@ -74,6 +100,10 @@ const Comment = (props) => {
           {props.author}
           {props.deleted && ' (deleted by user)'}
         </a>
+        {props.removedBy && props.removedBy != removedBy.user && <>
+          <span className='space' />
+          <span className={`removed-by-${props.removedBy}-text`}>[{removedByTitles[props.removedBy]}]</span>
+        </>}
         <span className='space' />
         <span className='comment-score'>{prettyScore(props.score)} point{(props.score !== 1) && 's'}</span>
         <span className='space' />
@@ -84,19 +114,43 @@ const Comment = (props) => {
           >* (last edited {prettyDate(props.edited ? props.edited : props.created_utc)})</span>}
       </div>
       <div style={collapsed ? {display: 'none'} : {}}>
-        <div className='comment-body' dangerouslySetInnerHTML={{ __html: innerHTML[editedMode] }} />
+        {hasHistory && showHistory ?
+          <EditHistory id={props.id} versions={props.versions} /> :
+          <div className='comment-body' dangerouslySetInnerHTML={{
+            __html: isSearchMatch && innerHTML[editedMode] ? highlightHTML(innerHTML[editedMode], props.search.query) : innerHTML[editedMode]
+          }} />}
         <div className='comment-links'>
-          <Link to={() => ({pathname: permalink, hash: '#comment-info', state: {scrollBehavior: 'auto'}})}>permalink</Link>
-          <a href={`https://www.reddit.com${permalink}`}>reddit</a>
+          <Link to={() => ({pathname: linkPrefix + permalink, hash: '#comment-info', state: {scrollBehavior: 'auto'}})}>permalink</Link>
+          <a href={`https://www.reddit.com${permalink}`} className='comment-reddit'>reddit</a>
           <a href={`https://www.reveddit.com${permalink}`}>reveddit</a>
           {parentlink}
+          {!isDeleted(props.author) &&
+            <a onClick=  {() => props.setFocusAuthor(props.author)}
+               onKeyDown={e => e.key == "Enter" && props.setFocusAuthor(props.author)}
+               tabIndex= {0}
+               title=    {`Highlight ${props.author}'s comments in this thread`}
+            >focus</a>}
+          {!isDeleted(props.author) && props.muteAuthor &&
+            <a onClick=  {() => props.muteAuthor(props.author)}
+               onKeyDown={e => e.key == "Enter" && props.muteAuthor(props.author)}
+               tabIndex= {0}
+               title=    {`Hide ${props.author}'s comments (unless they have replies)`}
+            >mute</a>}
           {hasOwnProperty.call(props, 'edited_body') &&
             <a onClick=  {() => setEditedMode((editedMode + 1) % editedModes.length)}
                onKeyDown={e => e.key == "Enter" && setEditedMode((editedMode + 1) % editedModes.length)}
                tabIndex= {0}
                title=    {editedTitles[editedMode]}
+               className='comment-edited'
             >*edited</a>}
+          {hasHistory &&
+            <a onClick=  {() => setShowHistory(!showHistory)}
+               onKeyDown={e => e.key == "Enter" && setShowHistory(!showHistory)}
+               tabIndex= {0}
+               title=    {showHistory ? 'Hide the edit history' : `Compare all ${props.versions.length} known versions`}
+            >history</a>}
         </div>
+        {!props.flat &&
         <div>
           {props.replies.map(comment => (
             <Comment
@@ -105,9 +159,16 @@ const Comment = (props) => {
               depth={props.depth + 1}
               postAuthor={props.postAuthor}
               highlightedID={props.highlightedID}
+              focusAuthor={props.focusAuthor}
+              setFocusAuthor={props.setFocusAuthor}
+              muteAuthor={props.muteAuthor}
+              collapsedIDs={props.collapsedIDs}
+              setCommentCollapsed={props.setCommentCollapsed}
+              search={props.search}
+              linkPrefix={props.linkPrefix}
             />
           ))}
-        </div>
+        </div>}
       </div>
     </div>
   )
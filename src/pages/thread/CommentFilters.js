@@ -0,0 +1,74 @@
+import React from 'react'
+import { connect, useSetViewQuery } from '../../state'
+
+// Splits a list of usernames separated by commas and/or spaces, removing any u/ prefixes
+const parseAuthors = text => text.split(/[\s,]+/).map(author => author.replace(/^\/?u\//, '')).filter(author => author)
+
+// Returns the integer in a field, or undefined if it's empty or invalid
+const parseNumber = text => {
+  const number = parseInt(text)
+  return isNaN(number) ? undefined : number
+}
+
+// Describes each active filter set by setCommentFilters() or setMutedAuthors() in ../../state
+export const describeFilters = (filters, mutedAuthors) => [
+  filters.edited && 'edited only',
+  filters.minScore !== undefined && `score ≥ ${filters.minScore}`,
+  filters.maxScore !== undefined && `score ≤ ${filters.maxScore}`,
+  filters.maxDepth !== undefined && (filters.maxDepth == 0 ? 'no replies' : `replies ≤ ${filters.maxDepth} deep`),
+  filters.authors && `by ${filters.authors.join(', ')}`,
+  mutedAuthors.length > 0 && `${mutedAuthors.length} muted user${mutedAuthors.length == 1 ? '' : 's'}`
+].filter(description => description)
+
+// The fields are only applied once they lose focus; each is keyed by its value so that it's reset whenever
+// its filter changes elsewhere (e.g. by clearing all the filters)
+const CommentFilters = props => {
+  const { commentFilters: filters, mutedAuthors } = props.global.state
+  const setViewQuery = useSetViewQuery(props.global)
+  const setFilter = (name, value) => {
+    if (value === filters[name] || name == 'authors' && value.join() == (filters.authors || []).join())
+      return
+    props.global.setCommentFilters({...filters, [name]: value})
+    setViewQuery({commentFilters: {...filters, [name]: value}})
+  }
+  const blurOnEnter = e => e.key == 'Enter' && e.target.blur()
+  const authors = filters.authors?.join(', ') || ''
+  const muted = mutedAuthors.join(', ')
+
+  return <div id='comment-filters'>
+    <span className='nowrap'>
+      <input id='filterEdited' type='checkbox' checked={Boolean(filters.edited)}
+        onChange={e => setFilter('edited', e.target.checked)} />
+      <label htmlFor='filterEdited'>edited only</label>
+      <span className='space' />
+    </span>
+    <span className='nowrap'>
+      <label htmlFor='filterMinScore'>score from:</label>
+      <input id='filterMinScore' type='number' key={`min${filters.minScore}`} defaultValue={filters.minScore}
+        onKeyDown={blurOnEnter} onBlur={e => setFilter('minScore', parseNumber(e.target.value))} />
+      <label htmlFor='filterMaxScore'>to:</label>
+      <input id='filterMaxScore' type='number' key={`max${filters.maxScore}`} defaultValue={filters.maxScore}
+        onKeyDown={blurOnEnter} onBlur={e => setFilter('maxScore', parseNumber(e.target.value))} />
+      <span className='space' />
+    </span>
+    <span className='nowrap'>
+      <label htmlFor='filterMaxDepth' title='0 hides all replies'>max. depth:</label>
+      <input id='filterMaxDepth' type='number' min={0} key={`depth${filters.maxDepth}`} defaultValue={filters.maxDepth}
+        onKeyDown={blurOnEnter} onBlur={e => setFilter('maxDepth', parseNumber(e.target.value) >= 0 ? parseNumber(e.target.value) : undefined)} />
+      <span className='space' />
+    </span>
+    <span className='nowrap'>
+      <label htmlFor='filterAuthors'>by:</label>
+      <input id='filterAuthors' type='text' placeholder='usernames' key={`authors${authors}`} defaultValue={authors}
+        onKeyDown={blurOnEnter} onBlur={e => setFilter('authors', parseAuthors(e.target.value))} />
+      <span className='space' />
+    </span>
+    <span className='nowrap'>
+      <label htmlFor='mutedAuthors' title='Saved for all threads'>muted:</label>
+      <input id='mutedAuthors' type='text' placeholder='e.g. AutoModerator' key={`muted${muted}`} defaultValue={muted}
+        onKeyDown={blurOnEnter} onBlur={e => props.global.setMutedAuthors(parseAuthors(e.target.value))} />
+    </span>
+  </div>
+}
+
+export default connect(CommentFilters)
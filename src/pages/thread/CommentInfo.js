@@ -1,8 +1,24 @@
-import React from 'react'
+import React, { useMemo } from 'react'
+import { removedByTitles } from '../../utils'
 
-const getProcent = (part, total) => (total === 0 ? '0.0' : ((100 * part) / total).toFixed(1))
+export const getProcent = (part, total) => (total === 0 ? '0.0' : ((100 * part) / total).toFixed(1))
 
+// Counts the comments by their removedBy (see getRemovedBy() in utils)
+const countRemovedBy = comments => {
+  const counts = {}
+  comments.forEach(comment => {
+    if (comment?.removedBy)
+      counts[comment.removedBy] = (counts[comment.removedBy] || 0) + 1
+  })
+  return counts
+}
+
+// revision should change whenever the comments are modified
 export default function CommentInfo(props) {
+  const { comments, total, revision } = props
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const counts = useMemo(() => comments ? countRemovedBy(comments) : {}, [comments, total, revision])
+
   return <div id='comment-info'>
     <span className='nowrap removed-text'>
       removed comments: {props.removed}/{props.total} ({getProcent(props.removed, props.total)}%)
@@ -10,5 +26,17 @@ export default function CommentInfo(props) {
     <span className='nowrap deleted-text'>
       deleted comments:  {props.deleted}/{props.total} ({getProcent(props.deleted, props.total)}%)
     </span>
+    {props.toggleAnalytics &&
+      <a className='nowrap' onClick={props.toggleAnalytics}
+         onKeyDown={e => e.key == 'Enter' && props.toggleAnalytics()} tabIndex={0}>
+        {props.showAnalytics ? 'hide analytics' : 'analytics'}</a>}
+    {Object.keys(counts).length > 0 &&
+      <div className='removed-by-counts'>
+        {Object.entries(removedByTitles).map(([category, title]) => counts[category] > 0 &&
+          <span key={category} className={`nowrap removed-by-${category}-text`}>
+            {title}: {counts[category]}
+          </span>
+        )}
+      </div>}
   </div>
 }
@@ -1,179 +1,409 @@
-import React from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import Comment from './Comment'
+import Modal from './Modal'
+import VirtualCommentList, { virtualizeAbove, visibleIDs, scrollToRow } from './VirtualCommentList'
+import { buildCommentTree } from './treeWorker'
 import {sort, filter} from '../../state'
-import {
-  topSort, bottomSort, newSort, oldSort,
-  showRemovedAndDeleted, showRemoved, showDeleted
-} from '../../utils'
+import { get, put } from '../../utils'
 
-const unflatten = (commentMap, rootID, context, postID) => {
-  const commentTree = []
+// The names (e.g. 'top') of the sort and filter values, which are what the tree worker uses
+const nameOf = (values, value) => Object.keys(values).find(name => values[name] === value)
 
-  commentMap.forEach(comment => {
-    if (comment)
-      comment.replies = []
+// Converts a tree from buildCommentTree() into { rows, tree, lengthBeforeFiltering } where rows is an
+// Array of { comment, depth } in display order, and the comments in tree have their .replies set
+const unflattenRows = (comments, { ids, depths, lengthBeforeFiltering, placeholder }) => {
+  const rows = [], tree = [], ancestors = []
+  let skipBelow = Infinity  // the depth of a comment removed since the tree was built, whose replies are skipped
+  ids.forEach((id, i) => {
+    const depth = depths[i]
+    if (depth > skipBelow)
+      return
+    const comment = comments.get(id) || (id == placeholder?.id ? placeholder : undefined)
+    skipBelow = comment ? Infinity : depth
+    if (!comment)
+      return
+    comment.replies = []
+    if (depth == 0)
+      tree.push(comment)
+    else
+      ancestors[depth - 1].replies.push(comment)
+    ancestors[depth] = comment
+    rows.push({ comment, depth })
   })
-
-  if (rootID == postID) {
-    commentMap.forEach(comment => {
-      if (!comment)
-        return
-      const parentID = comment.parent_id
-      if (parentID == postID)
-        commentTree.push(comment)
-      else {
-        const parentComment = commentMap.get(comment.parent_id)
-        if (parentComment)
-          parentComment.replies.push(comment)
-        else
-          console.warn('Missing parent ID:', parentID, 'for comment', comment)
-      }
-    })
-    return commentTree
-
-  } else {
-    const missingRootReplies = []
-    commentMap.forEach(comment => {
-      if (!comment)
-        return
-      const parentID = comment.parent_id
-      const parentComment = commentMap.get(parentID)
-      if (parentComment)
-        parentComment.replies.push(comment)
-      else if (parentID == rootID)
-        missingRootReplies.push(comment)
-    })
-    let rootComment = commentMap.get(rootID)
-    if (!rootComment) {
-      const anyComment = commentMap.values().next().value
-      if (!anyComment)
-        return []
-      rootComment = {
-        id: rootID,
-        link_id:   anyComment.link_id,
-        parent_id: anyComment.link_id,
-        subreddit: anyComment.subreddit,
-        score:   '?',
-        body:    '...',
-        replies: missingRootReplies
-      }
-    }
-    let newRoot
-    while (context && rootComment.parent_id && (newRoot = commentMap.get(rootComment.parent_id))) {
-      newRoot.replies = [rootComment]
-      rootComment = newRoot
-      context--
-    }
-    return [rootComment]
-  }
+  return { rows, tree, lengthBeforeFiltering }
 }
 
-const sortCommentTree = (comments, sortFunction) => {
-  comments.sort(sortFunction)
+// The displayed comments as returned by unflattenRows() (and by ID), the IDs of those which are collapsed,
+// and the listeners for when the displayed comments change
+let displayedRows = [], displayedRowsByID = new Map(), collapsedIDs = new Set()
+const displayedListeners = new Set()
 
-  comments.forEach(comment => {
-    if (comment.replies.length > 0) {
-      sortCommentTree(comment.replies, sortFunction)
-    }
-  })
+// Calls listener whenever the displayed comments change, until the returned function is called
+export const subscribeToDisplayed = listener => {
+  displayedListeners.add(listener)
+  return () => displayedListeners.delete(listener)
 }
 
-const filterCommentTree = (comments, filterFunction) => {
-  if (comments.length === 0) {
-    return false
-  }
+// Key for localStorage, holding an Array of [postID, Array of collapsed comment IDs] for the most
+// recently viewed (up to maxCollapsedThreads, with up to maxCollapsedIDs in all) threads with any
+// collapsed comments
+const collapsedKey = 'collapsedComments'
+const maxCollapsedThreads = 100
+const maxCollapsedIDs = 10000
 
-  let hasOkComment = false
+const loadCollapsed = postID => new Set(get(collapsedKey, []).find(([id]) => id == postID)?.[1])
 
-  // Reverse for loop since we are removing stuff
-  for (let i = comments.length - 1; i >= 0; i--) {
-    const comment = comments[i]
-    const isRepliesOk = filterCommentTree(comment.replies, filterFunction)
-    const isCommentOk = filterFunction(comment)
+// Failures (e.g. if localStorage is full) are logged and otherwise ignored
+const saveCollapsed = (postID, collapsed) => {
+  try {
+    const threads = get(collapsedKey, []).filter(([id]) => id != postID)
+    if (collapsed.size)
+      threads.unshift([postID, [...collapsed].slice(0, maxCollapsedIDs)])
+    let idCount = 0, kept = 0
+    while (kept < Math.min(threads.length, maxCollapsedThreads) && idCount + threads[kept][1].length <= maxCollapsedIDs)
+      idCount += threads[kept++][1].length
+    put(collapsedKey, threads.slice(0, kept))
+  } catch (error) {
+    console.warn('Could not save the collapsed comments:', error)
+  }
+}
 
-    if (!isRepliesOk && !isCommentOk) {
-      comments.splice(i, 1)
-    } else {
-      hasOkComment = true
+// Returns the IDs of the displayed comments (from unflattenRows()) which are, or have replies (at
+// any depth) which are, removed or deleted
+const removedBranchIDs = rows => {
+  const ids = new Set(), hasRemovedBelow = []  // by depth, whether a reply of the last comment seen at that depth is
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const { comment, depth } = rows[i]
+    if (comment.removed || comment.deleted || hasRemovedBelow[depth + 1]) {
+      ids.add(comment.id)
+      hasRemovedBelow[depth] = true
     }
+    hasRemovedBelow[depth + 1] = false
   }
+  return ids
+}
+
+// Ways to collapse the displayed comments, each returning the Set of IDs to collapse
+const collapseAtDepth = (rows, depth) => new Set(rows.filter(row => row.depth == depth).map(row => row.comment.id))
+const collapseUnremoved = rows => {
+  const removedIDs = removedBranchIDs(rows)
+  // (only the outermost comments of branches without any removed or deleted comments)
+  return new Set(rows.filter(({ comment, depth }) => !removedIDs.has(comment.id) &&
+    (depth == 0 || removedIDs.has(comment.parent_id))).map(row => row.comment.id))
+}
+
+// Keyboard shortcuts for navigating the comments, as [keys, description] for the help
+const shortcuts = [
+  ['j / k',         'next / previous comment'],
+  ['n / p',         'next / previous removed or deleted comment'],
+  ['space / enter', 'collapse or expand the comment'],
+  ['e',             'change how edits are shown'],
+  ['u',             'go to the parent comment'],
+  ['o',             'open the comment on Reddit'],
+  ['?',             'show or hide these shortcuts']
+]
 
-  return hasOkComment
+// The displayed comments which aren't hidden inside collapsed comments, as an Array of IDs
+const navigableIDs = () => {
+  const ids = visibleIDs()
+  if (ids)
+    return ids
+  let hiddenBelow = Infinity  // the depth of the last collapsed comment, whose replies are hidden
+  return displayedRows.filter(({ comment, depth }) => {
+    if (depth > hiddenBelow)
+      return false
+    hiddenBelow = collapsedIDs.has(comment.id) ? depth : Infinity
+    return true
+  }).map(row => row.comment.id)
 }
 
-let commentTree, lastTotal, lastRoot, lastContext, lastFilter, lastSort, lengthBeforeFiltering
-
-const commentSection = (props) => {
-  console.time('Build comment tree')
-  const {total, root, context, commentFilter, commentSort} = props
-
-  const needsRebuild = !(total === lastTotal && root === lastRoot && context === lastContext && (
-    commentFilter === lastFilter ||
-    lastFilter    === filter.all ||
-    lastFilter    === filter.removedDeleted && (
-      commentFilter === filter.removed ||
-      commentFilter === filter.deleted
-    )
-  ))
-  if (needsRebuild) {
-    commentTree = unflatten(props.comments, root, context, props.postID)
-    lengthBeforeFiltering = commentTree.length
+// Scrolls to a comment and gives its head the keyboard focus (once it's rendered, if virtualized)
+const focusComment = (id, block) => {
+  if (!scrollToComment(id, {block}))
+    return
+  let frames = 0
+  const focusHead = () => {
+    const head = document.getElementById(id)?.querySelector('.comment-head')
+    if (head)
+      head.focus({preventScroll: true})
+    else if (++frames < 10)
+      window.requestAnimationFrame(focusHead)
   }
+  focusHead()
+}
 
-  if (needsRebuild || commentFilter !== lastFilter) {
-    if (commentFilter === filter.removedDeleted) {
-      filterCommentTree(commentTree, showRemovedAndDeleted)
-    } else if (commentFilter === filter.removed) {
-      filterCommentTree(commentTree, showRemoved)
-    } else if (commentFilter === filter.deleted) {
-      filterCommentTree(commentTree, showDeleted)
+// Moves the keyboard focus from the focused comment (or if none, the first one on screen) to the
+// next or previous (if delta is -1) comment passing isMatch (if any), returning false if none
+const focusNextComment = (delta, isMatch) => {
+  const ids = navigableIDs()
+  const focusedID = document.activeElement?.closest?.('.comment')?.id
+  let idx = focusedID ? ids.indexOf(focusedID) : -1
+  if (idx < 0) {
+    // (rendered comments are in display order, but not necessarily all of them)
+    idx = ids.findIndex(id => document.getElementById(id)?.getBoundingClientRect().bottom > 0)
+    if (idx < 0)
+      return false
+    if (!isMatch || isMatch(ids[idx])) {
+      focusComment(ids[idx], 'nearest')
+      return true
+    }
+  }
+  if (isMatch) {
+    // Searching wraps around at the end
+    for (let i = 1; i < ids.length; i++) {
+      const id = ids[(idx + i * delta + ids.length) % ids.length]
+      if (isMatch(id)) {
+        focusComment(id, 'center')
+        return true
+      }
     }
+    return false
   }
+  if (idx + delta < 0 || idx + delta >= ids.length)
+    return false
+  focusComment(ids[idx + delta], 'nearest')
+  return true
+}
 
-  if (needsRebuild || commentSort !== lastSort) {
-    if (commentSort === sort.top) {
-      sortCommentTree(commentTree, topSort)
-    } else if (commentSort === sort.bottom) {
-      sortCommentTree(commentTree, bottomSort)
-    } else if (commentSort === sort.new) {
-      sortCommentTree(commentTree, newSort)
-    } else if (commentSort === sort.old) {
-      sortCommentTree(commentTree, oldSort)
+// Handles the shortcuts above which act on the focused comment
+const onCommentKey = (key, commentElem, headFocused) => {
+  const comment = displayedRowsByID.get(commentElem.id)?.comment
+  switch (key) {
+    case ' ':
+    case 'Enter':
+      if (!headFocused)  // (links in the comment handle Enter themselves)
+        return false
+      commentElem.querySelector(':scope > .comment-head > .comment-collapse').click()
+      return true
+    case 'e':
+      commentElem.querySelector(':scope > div > .comment-links > .comment-edited')?.click()
+      return true
+    case 'u':
+      if (comment && navigableIDs().includes(comment.parent_id))
+        focusComment(comment.parent_id, 'center')
+      return true
+    case 'o': {
+      const link = commentElem.querySelector(':scope > div > .comment-links > .comment-reddit')
+      if (link)
+        window.open(link.href, '_blank', 'noopener')
+      return true
     }
+    default:
+      return false
   }
+}
 
-  lastTotal   = total
-  lastRoot    = root
-  lastContext = context
-  lastFilter  = commentFilter
-  lastSort    = commentSort
-  console.timeEnd('Build comment tree')
+// Returns true if the keydown event was handled (and should have its default action prevented)
+const onKeyDown = (e, toggleHelp) => {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest?.('input, select, textarea, [contenteditable="true"]'))
+    return false
+  const isRemovedOrDeleted = id => {
+    const comment = displayedRowsByID.get(id)?.comment
+    return comment?.removed === true || comment?.deleted === true
+  }
+  switch (e.key) {
+    case 'j': return focusNextComment(1)
+    case 'k': return focusNextComment(-1)
+    case 'n': return focusNextComment(1,  isRemovedOrDeleted)
+    case 'p': return focusNextComment(-1, isRemovedOrDeleted)
+    case '?': return toggleHelp()
+  }
+  const commentElem = document.activeElement?.closest?.('.comment')
+  return commentElem ? onCommentKey(e.key, commentElem, document.activeElement.classList.contains('comment-head')) : false
+}
 
-  props.setMoreContextAvail(commentTree.length > 0 && commentTree[0].parent_id != commentTree[0].link_id)
-  props.setAllCommentsFiltered(commentTree.length == 0 && lengthBeforeFiltering > 0)
+const CommentSection = props => {
+  const {comments, total, revision, root, context, postID, commentFilter, commentSort, commentFilters,
+         mutedAuthors, setMoreContextAvail, setAllCommentsFiltered} = props
+  const focus = props.focusOnly ? props.focusAuthor : undefined  // the author being filtered for, if any
+  const [built, setBuilt] = useState()  // the latest tree from unflattenRows()
+  const [showHelp, setShowHelp] = useState(false)
+  // The IDs of collapsed comments, as [postID, Set of IDs] so that they're reloaded whenever the postID
+  // changes (it's undefined until the post is loaded, e.g. when it's not in the archive)
+  const [collapsedThread, setCollapsedThread] = useState(() => [postID, loadCollapsed(postID)])
+  let collapsed = collapsedThread[1]
+  if (collapsedThread[0] !== postID) {
+    collapsed = loadCollapsed(postID)
+    setCollapsedThread([postID, collapsed])
+  }
+  // Like a state setter for collapsed, given a new Set or a function of the current one
+  const setCollapsed = useCallback(update => setCollapsedThread(thread => {
+    const next = typeof update == 'function' ? update(thread[1]) : update
+    return next === thread[1] ? thread : [thread[0], next]
+  }), [])
 
-  console.time('Build html tree')
-  const htmlTree = (
-    commentTree.length !== 0
-      ? commentTree.map(comment => (
+  useEffect(() => {
+    if (collapsedThread[0] !== undefined)
+      saveCollapsed(...collapsedThread)
+  }, [collapsedThread])
+  useEffect(() => {
+    collapsedIDs = collapsed
+  }, [collapsed])
+
+  const setCommentCollapsed = useCallback((id, isCollapsed) => setCollapsed(collapsed => {
+    if (collapsed.has(id) == isCollapsed)
+      return collapsed
+    const next = new Set(collapsed)
+    if (isCollapsed)
+      next.add(id)
+    else
+      next.delete(id)
+    return next
+  }), [setCollapsed])
+
+  // Expand search matches and their ancestors
+  const { search } = props
+  useEffect(() => {
+    if (search)
+      setCollapsed(collapsed => {
+        const next = new Set(collapsed)
+        search.matches.forEach(id => next.delete(id))
+        search.ancestors.forEach(id => next.delete(id))
+        return next.size == collapsed.size ? collapsed : next
+      })
+  }, [search, setCollapsed])
+
+  useEffect(() => {
+    const listener = e => {
+      if (e.key == 'Escape')
+        setShowHelp(false)
+      else if (onKeyDown(e, () => {setShowHelp(showHelp => !showHelp); return true}))
+        e.preventDefault()
+    }
+    document.addEventListener('keydown', listener)
+    return () => document.removeEventListener('keydown', listener)
+  }, [])
+
+  // Trees are built in a worker; until the first is ready nothing is displayed, and afterwards
+  // the previous tree is displayed until the next is ready
+  useEffect(() => {
+    let isCurrent = true
+    buildCommentTree(comments, {
+      rootID: root, context, postID, focus, mutedAuthors,
+      filters:    commentFilters,
+      filterName: nameOf(filter, commentFilter),
+      sortName:   nameOf(sort, commentSort)
+    })
+      .then(tree => isCurrent && setBuilt(unflattenRows(comments, tree)))
+      .catch(error => console.error('Could not build comment tree:', error))
+    return () => isCurrent = false
+  }, [comments, total, revision, root, context, postID, commentFilter, commentSort, commentFilters, mutedAuthors, focus])
+
+  useEffect(() => {
+    if (!built)
+      return
+    const { rows, tree, lengthBeforeFiltering } = built
+    displayedRows = rows
+    displayedRowsByID = new Map(rows.map(row => [row.comment.id, row]))
+    displayedListeners.forEach(listener => listener())
+    setMoreContextAvail(tree.length > 0 && tree[0].parent_id != tree[0].link_id)
+    setAllCommentsFiltered(tree.length == 0 && lengthBeforeFiltering > 0)
+  }, [built, setMoreContextAvail, setAllCommentsFiltered])
+
+  if (!built)
+    return null
+  const { rows, tree } = built
+  const commentProps = {
+    postAuthor:     props.postAuthor,
+    highlightedID:  context && tree[0]?.id != root ? root : null,
+    focusAuthor:    props.focusAuthor,
+    setFocusAuthor: props.setFocusAuthor,
+    muteAuthor:     props.muteAuthor,
+    search:         props.search,
+    linkPrefix:     props.linkPrefix
+  }
+  // Large trees are rendered flattened, mounting only the comments near the scroll position
+  return <>
+    {showHelp &&
+      <Modal title='Keyboard shortcuts' closeModal={() => setShowHelp(false)}>
+        <table className='keyboard-help'>
+          <tbody>
+            {shortcuts.map(([keys, description]) =>
+              <tr key={keys}><td><kbd>{keys}</kbd></td><td>{description}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </Modal>
+    }
+    {tree.length > 0 &&
+      <div id='collapse-controls'>
+        <span className='nowrap'>
+          collapse:
+          <a onClick=  {() => setCollapsed(collapseAtDepth(rows, 0))}
+             onKeyDown={e => e.key == 'Enter' && setCollapsed(collapseAtDepth(rows, 0))}
+             tabIndex= {0}
+          >all</a>
+          <a onClick=  {() => setCollapsed(collapseUnremoved(rows))}
+             onKeyDown={e => e.key == 'Enter' && setCollapsed(collapseUnremoved(rows))}
+             tabIndex= {0}
+             title=    'Collapse everything except the branches with removed or deleted comments'
+          >all but removed</a>
+          <label htmlFor='collapseDepth'>below depth:</label>
+          <select id='collapseDepth' value=''
+            onChange={e => {setCollapsed(collapseAtDepth(rows, parseInt(e.target.value))); e.target.blur()}}>
+            <option value='' disabled>...</option>
+            {[1, 2, 3, 4, 5].map(depth => <option key={depth} value={depth}>{depth}</option>)}
+          </select>
+        </span>
+        <a onClick=  {() => setCollapsed(new Set())}
+           onKeyDown={e => e.key == 'Enter' && setCollapsed(new Set())}
+           tabIndex= {0}
+        >expand all</a>
+      </div>
+    }
+    {tree.length === 0
+      ? props.reloadingComments ? null : <p>No comments found</p>
+      : rows.length > virtualizeAbove
+      ? <VirtualCommentList rows={rows} commentProps={commentProps} collapsed={collapsed} setCollapsed={setCollapsed} />
+      : tree.map(comment => (
         <Comment
           key={comment.id}
           {...comment}
+          {...commentProps}
+          collapsedIDs={collapsed}
+          setCommentCollapsed={setCommentCollapsed}
           depth={0}
-          postAuthor={props.postAuthor}
-          highlightedID={context && commentTree[0].id != root ? root : null}
         />
-      ))
-      : <p>No comments found</p>
-  )
-  console.timeEnd('Build html tree')
-  return htmlTree
+      ))}
+  </>
+}
+
+// The IDs of the displayed comments in display order (if virtualized, excluding those inside collapsed comments)
+export const displayedCommentIDs = () => visibleIDs() || displayedRows.map(row => row.comment.id)
+
+// Scrolls to a displayed comment (or any other element) by ID, returning false if it isn't displayed
+export const scrollToComment = (id, options) => {
+  const elem = document.getElementById(id)
+  if (elem) {
+    elem.scrollIntoView(options)
+    return true
+  }
+  return scrollToRow(id, options)
+}
+
+// Scrolls to the next (or previous if delta is -1) displayed comment whose ID passes isMatch, after the one
+// at curIdx (or the first/last if curIdx is -1). Returns the new index, or -1 if none.
+export const scrollToNextComment = (isMatch, curIdx, delta) => {
+  const ids = displayedCommentIDs().filter(isMatch)
+  if (ids.length == 0)
+    return -1
+  const idx = curIdx < 0 ? (delta < 0 ? ids.length - 1 : 0) : (curIdx + delta + ids.length) % ids.length
+  scrollToComment(ids[idx], {behavior: 'smooth', block: 'center'})
+  return idx
 }
 
 const areEqual = (prevProps, nextProps) => {
   if (prevProps.commentFilter !== nextProps.commentFilter ||
+      prevProps.commentFilters !== nextProps.commentFilters ||
+      prevProps.mutedAuthors  !== nextProps.mutedAuthors  ||
       prevProps.commentSort   !== nextProps.commentSort   ||
-      prevProps.root          !== nextProps.root)
+      prevProps.root          !== nextProps.root          ||
+      prevProps.comments      !== nextProps.comments      ||
+      prevProps.focusAuthor   !== nextProps.focusAuthor   ||
+      prevProps.focusOnly     !== nextProps.focusOnly     ||
+      prevProps.search        !== nextProps.search        ||
+      prevProps.revision      !== nextProps.revision      ||  // changes periodically while downloading
+      prevProps.reloadingComments !== nextProps.reloadingComments)
     return false
   if (nextProps.reloadingComments)
     return true
@@ -182,4 +412,4 @@ const areEqual = (prevProps, nextProps) => {
          prevProps.postAuthor === nextProps.postAuthor
 }
 
-export default React.memo(commentSection, areEqual)
+export default React.memo(CommentSection, areEqual)
@@ -1,39 +1,93 @@
 import React, { useState } from 'react'
-import {connect, sort, filter, minCommentsLimit, maxCommentsLimit, constrainMaxComments} from '../../state'
+import {connect, sort, filter, minCommentsLimit, maxCommentsLimit, constrainMaxComments, useSetViewQuery} from '../../state'
+import {getProviders} from '../../api/archive'
+import {exporters} from './exporters'
+import {removedByTitles} from '../../utils'
+import CommentFilters, {describeFilters} from './CommentFilters'
 
 const SortBy = props => {
   // The current value of the field; it'll be later saved after an onBlur event
   const [maxCommentsField, setMaxCommentsField] = useState(props.global.maxComments)
   const isFirefox = typeof InstallTrigger !== 'undefined'
+  const providers = getProviders()
+  const [showFilters, setShowFilters] = useState(false)
+  const setViewQuery = useSetViewQuery(props.global)
+  const clearFilters = () => {
+    props.global.setCommentFilters({})
+    setViewQuery({commentFilters: {}})
+  }
+  const filterDescriptions = describeFilters(props.global.state.commentFilters, props.global.state.mutedAuthors)
   let usedMouse;
 
   return (
   <div id='comment-sort'>
   <span className='nowrap'>
     <label htmlFor='commentSort'>sorted by:</label>
-    <select id='commentSort' defaultValue={props.global.state.commentSort}
+    <select id='commentSort' value={props.global.state.commentSort}
       onMouseDown={() => usedMouse = true}
       onKeyDown=  {() => usedMouse = false}
-      onChange=   {e  => {props.global.setCommentSort(e.target.value); if (usedMouse) e.target.blur()}}>
+      onChange=   {e  => {
+        props.global.setCommentSort(e.target.value)
+        setViewQuery({commentSort: e.target.value})
+        if (usedMouse) e.target.blur()
+      }}>
       <option value={sort.top}>top</option>
       <option value={sort.bottom}>bottom</option>
       <option value={sort.new}>new</option>
       <option value={sort.old}>old</option>
+      <option value={sort.controversial}>controversial</option>
+      <option value={sort.replies}>most replies</option>
+      <option value={sort.fastestRemoval}>fastest removal</option>
+      <option value={sort.removedFirst}>removed first</option>
     </select>
     <span className='space' />
   </span>
   <span className={props.allCommentsFiltered ? 'nowrap attention' : 'nowrap'}>
     <label htmlFor='commentFilter'>show:</label>
-    <select id='commentFilter' defaultValue={props.global.state.commentFilter}
+    <select id='commentFilter' value={props.global.state.commentFilter}
       onMouseDown={() => usedMouse = true}
       onKeyDown=  {() => usedMouse = false}
-      onChange=   {e  => {props.global.setCommentFilter(e.target.value); if (usedMouse) e.target.blur()}}>
+      onChange=   {e  => {
+        props.global.setCommentFilter(e.target.value)
+        setViewQuery({commentFilter: e.target.value})
+        if (usedMouse) e.target.blur()
+      }}>
       <option value={filter.all}>all comments</option>
       <option value={filter.removedDeleted}>removed & deleted</option>
       <option value={filter.removed}>removed</option>
       <option value={filter.deleted}>deleted</option>
+      <option value={filter.removedByModerator}>{removedByTitles.moderator}</option>
+      <option value={filter.removedByAutomod}>{removedByTitles.automod}</option>
+      <option value={filter.removedByAdmin}>{removedByTitles.admin}</option>
+      <option value={filter.deletedByUser}>{removedByTitles.user}</option>
+      <option value={filter.accountDeleted}>{removedByTitles.account}</option>
     </select>
     <span className='space' />
+    <a onClick=  {() => setShowFilters(!showFilters)}
+       onKeyDown={e => e.key == 'Enter' && setShowFilters(!showFilters)}
+       tabIndex= {0}
+    >{showFilters ? 'fewer filters' : 'more filters'}</a>
+    <span className='space' />
+  </span>
+  {/* Imported snapshots (see ../import) are never downloaded, so they have no download options */}
+  {!props.isSnapshot && <>
+  {providers.length > 1 &&
+  <span className='nowrap'>
+    <label htmlFor='archiveProvider' title='Used for subsequent downloads'>archive:</label>
+    <select id='archiveProvider' defaultValue={props.global.state.archiveProvider}
+      onMouseDown={() => usedMouse = true}
+      onKeyDown=  {() => usedMouse = false}
+      onChange=   {e  => {props.global.setArchiveProvider(e.target.value); if (usedMouse) e.target.blur()}}>
+      {providers.map(([name, title]) => <option key={name} value={name}>{title}</option>)}
+    </select>
+    <span className='space' />
+  </span> }
+  <span className='nowrap'>
+    <input id='findMissing' type='checkbox' checked={props.global.state.findMissingComments}
+      onChange={e => props.global.setFindMissingComments(e.target.checked)} />
+    <label htmlFor='findMissing' title="Also search Reddit's comment tree for comments missing from the archive (slow)">
+      find unarchived</label>
+    <span className='space' />
   </span>
   <span className='nowrap'>
     <label htmlFor='maxComments'>max. to download:</label>
@@ -47,12 +101,36 @@ const SortBy = props => {
       defaultValue={props.global.maxComments} type='number' maxLength='5' required
       min={minCommentsLimit} max={maxCommentsLimit} step={minCommentsLimit} />
   </span>
-  { !props.reloadingComments && !props.loadedAllComments && !props.global.isErrored() &&
+  </>}
+  {props.onExport &&
+  <span className='nowrap'>
+    <span className='space' />
+    <label htmlFor='exportThread' title='Download the comments loaded so far'>export:</label>
+    <select id='exportThread' value=''
+      onChange={e => {props.onExport(e.target.value); e.target.blur()}}>
+      <option value='' disabled>format...</option>
+      {Object.entries(exporters).map(([format, [title]]) => <option key={format} value={format}>{title}</option>)}
+    </select>
+  </span> }
+  { !props.isSnapshot && !props.loadedAllComments && !props.global.isErrored() &&
     maxCommentsField > props.global.maxComments && maxCommentsField - minCommentsLimit >= props.total &&
   <span className='nowrap'>
     <span className='space' />
     <input onClick={() => props.global.loadMoreComments(props.global.maxComments - props.total)} type='button' value='Reload' />
   </span> }
+  {showFilters && <CommentFilters />}
+  {filterDescriptions.length > 0 &&
+  <div id='filter-summary'>
+    also filtering: {filterDescriptions.join(' · ')}
+    {Object.keys(props.global.state.commentFilters).length > 0 && <>
+      <span className='space' />
+      <a onClick=  {clearFilters}
+         onKeyDown={e => e.key == 'Enter' && clearFilters()}
+         tabIndex= {0}
+         title=    'Clear all of these filters except for muted users'
+      >clear</a>
+    </>}
+  </div> }
   </div>
   )
 }
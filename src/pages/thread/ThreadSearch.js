@@ -0,0 +1,80 @@
+import React, { useState, useEffect } from 'react'
+import { displayedCommentIDs, scrollToNextComment, subscribeToDisplayed } from './CommentSection'
+
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+// Returns true if any known version of the comment's text, or its author, contains lowerQuery
+const commentMatches = (comment, lowerQuery) =>
+  comment.author?.toLowerCase().includes(lowerQuery) ||
+  comment.body?.toLowerCase().includes(lowerQuery) ||
+  hasOwnProperty.call(comment, 'edited_body') && comment.edited_body?.toLowerCase().includes(lowerQuery) ||
+  comment.versions?.some(version => version.text.toLowerCase().includes(lowerQuery))
+
+// Searches all comments, returning { query, matches, ancestors } where matches is a Set of the
+// matching comment ids, and ancestors is a Set of the ids of all their ancestors
+export const findMatches = (comments, query) => {
+  const lowerQuery = query.toLowerCase()
+  const matches = new Set(), ancestors = new Set()
+  comments.forEach(comment => {
+    if (!comment || !commentMatches(comment, lowerQuery))
+      return
+    matches.add(comment.id)
+    let parent = comments.get(comment.parent_id)
+    while (parent && !ancestors.has(parent.id)) {
+      ancestors.add(parent.id)
+      parent = comments.get(parent.parent_id)
+    }
+  })
+  return { query, matches, ancestors }
+}
+
+// A search box for the thread's comments, with next/prev navigation between the displayed matches
+const ThreadSearch = ({ comments, total, search, setSearch }) => {
+  const [query, setQuery] = useState('')
+  const [curIdx, setCurIdx] = useState(-1)
+  const [shown, setShown] = useState(0)
+
+  // Search after typing has paused, and again whenever more comments are loaded
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setSearch(query.trim() ? findMatches(comments, query.trim()) : undefined)
+      setCurIdx(-1)
+    }, 300)
+    return () => clearTimeout(timeout)
+  }, [comments, total, query, setSearch])
+
+  // Some matches might not be displayed, e.g. due to the comment filter
+  useEffect(() => {
+    const updateShown = () => setShown(search ? displayedCommentIDs().filter(id => search.matches.has(id)).length : 0)
+    updateShown()
+    return subscribeToDisplayed(updateShown)
+  }, [search])
+
+  const step = delta => setCurIdx(scrollToNextComment(id => search?.matches.has(id), curIdx, delta))
+  const onKey = action => e => e.key == 'Enter' && action()
+  const matchCount = search?.matches.size || 0
+
+  return <div id='thread-search'>
+    <span className='nowrap'>
+      <label htmlFor='threadSearch'>search:</label>
+      <span className='space' />
+      <input id='threadSearch' type='search' value={query} placeholder='text or author'
+        onChange={e => setQuery(e.target.value)}
+        onKeyDown={e => e.key == 'Enter' && step(e.shiftKey ? -1 : 1)} />
+    </span>
+    {search && <>
+      <span className='space' />
+      <span className='nowrap' title={shown < matchCount ? 'Some matches are hidden by the current filter' : undefined}>
+        {matchCount} match{matchCount != 1 && 'es'}{shown < matchCount && ` (${shown} shown)`}
+      </span>
+      {shown > 0 && <>
+        <span className='space' />
+        <a onClick={() => step(-1)} onKeyDown={onKey(() => step(-1))} tabIndex={0}>&larr; prev</a>
+        <span className='space' />
+        <a onClick={() => step(1)} onKeyDown={onKey(() => step(1))} tabIndex={0}>next &rarr;</a>
+      </>}
+    </>}
+  </div>
+}
+
+export default ThreadSearch
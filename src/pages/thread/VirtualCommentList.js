@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react'
+import Comment from './Comment'
+
+// Renders a flattened comment tree, mounting only the comments near the window's scroll position.
+// Comments which haven't been displayed yet are assumed to be estimatedHeight tall.
+
+// CommentSection uses this list (instead of nested Comments) when displaying more comments than this
+export const virtualizeAbove = 500
+
+const estimatedHeight = 100  // px
+const overscan        = 1200 // px above and below the window to also render
+const indent          = 21   // px per level of depth
+
+// Measured heights (in px) by comment ID, kept across remounts (e.g. when changing the sort)
+const heights = new Map()
+
+// The mounted list (if any) as { visibleIDs(), scrollTo(id, options) }, used by the exports below
+let mountedList
+
+// The IDs of the comments not hidden inside collapsed comments in display order, or undefined if not mounted
+export const visibleIDs = () => mountedList?.visibleIDs()
+
+// Scrolls to a comment (expanding its collapsed ancestors), returning false if it isn't in the list
+export const scrollToRow = (id, options) => Boolean(mountedList?.scrollTo(id, options))
+
+// Returns the index of the last row starting at or before y
+const findRow = (offsets, y) => {
+  let lo = 0, hi = offsets.length - 2
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2)
+    if (offsets[mid] <= y)
+      lo = mid
+    else
+      hi = mid - 1
+  }
+  return lo
+}
+
+const Row = React.memo(({ row, isCollapsed, setRowCollapsed, observer, commentProps }) => {
+  const ref = useRef()
+  const { id } = row.comment
+  useLayoutEffect(() => {
+    const elem = ref.current
+    observer.observe(elem)
+    return () => observer.unobserve(elem)
+  }, [observer])
+  const setCollapsed = useCallback(collapsed => setRowCollapsed(id, collapsed), [id, setRowCollapsed])
+
+  return <div ref={ref} data-id={id} className='comment-row' style={{marginLeft: row.depth * indent}}>
+    <Comment
+      {...row.comment}
+      {...commentProps}
+      depth={row.depth}
+      flat={true}
+      collapsed={isCollapsed}
+      setCollapsed={setCollapsed}
+    />
+  </div>
+})
+Row.displayName = 'Row'
+
+// rows is an Array of { comment, depth } in display order; commentProps are passed to every Comment;
+// collapsed is the Set of collapsed comment IDs, and setCollapsed its state setter (see CommentSection)
+const VirtualCommentList = ({ rows, commentProps, collapsed, setCollapsed }) => {
+  const [range, setRange] = useState([0, 20])  // the [start, end) indexes of the rendered rows
+  const [, setMeasured] = useState(0)          // incremented to re-render after measuring
+  const listRef = useRef(), offsetsRef = useRef(), visibleRef = useRef()
+  const pendingScroll = useRef()  // { id, options, jumps } while scrolling to a row
+
+  const [observer] = useState(() => new window.ResizeObserver(entries => {
+    let changed = false
+    entries.forEach(({ target }) => {
+      const height = target.offsetHeight
+      if (height && heights.get(target.dataset.id) !== height) {
+        heights.set(target.dataset.id, height)
+        changed = true
+      }
+    })
+    if (changed)
+      setMeasured(measured => measured + 1)
+  }))
+  useEffect(() => () => observer.disconnect(), [observer])
+
+  const setRowCollapsed = useCallback((id, isCollapsed) => setCollapsed(collapsed => {
+    if (collapsed.has(id) == isCollapsed)
+      return collapsed
+    const next = new Set(collapsed)
+    if (isCollapsed)
+      next.add(id)
+    else
+      next.delete(id)
+    return next
+  }), [setCollapsed])
+
+  // The rows not hidden inside collapsed comments
+  const visible = useMemo(() => {
+    const visible = []
+    let hideBelow = Infinity  // the depth of the collapsed comment whose replies are being skipped
+    rows.forEach(row => {
+      if (row.depth > hideBelow)
+        return
+      hideBelow = collapsed.has(row.comment.id) ? row.depth : Infinity
+      visible.push(row)
+    })
+    return visible
+  }, [rows, collapsed])
+  visibleRef.current = visible
+
+  // The offset of each row from the top of the list, followed by the list's height
+  const offsets = new Array(visible.length + 1)
+  offsets[0] = 0
+  visible.forEach((row, i) => offsets[i + 1] = offsets[i] + (heights.get(row.comment.id) ?? estimatedHeight))
+  offsetsRef.current = offsets
+
+  const updateRange = useCallback(() => {
+    const offsets = offsetsRef.current
+    if (!listRef.current || offsets.length < 2)
+      return
+    const top = -listRef.current.getBoundingClientRect().top
+    const start = findRow(offsets, top - overscan)
+    const end   = findRow(offsets, top + window.innerHeight + overscan) + 1
+    setRange(range => range[0] == start && range[1] == end ? range : [start, end])
+  }, [])
+
+  useEffect(() => {
+    let frame
+    const onScroll = () => {
+      if (!frame)
+        frame = window.requestAnimationFrame(() => {
+          frame = undefined
+          updateRange()
+        })
+    }
+    window.addEventListener('scroll', onScroll, {passive: true})
+    window.addEventListener('resize', onScroll)
+    return () => {
+      window.removeEventListener('scroll', onScroll)
+      window.removeEventListener('resize', onScroll)
+      window.cancelAnimationFrame(frame)
+    }
+  }, [updateRange])
+
+  const commentsByID = useRef()
+  commentsByID.current = useMemo(() => new Map(rows.map(row => [row.comment.id, row.comment])), [rows])
+
+  useEffect(() => {
+    mountedList = {
+      visibleIDs: () => visibleRef.current.map(row => row.comment.id),
+      scrollTo: (id, options) => {
+        const comment = commentsByID.current.get(id)
+        if (!comment)
+          return false
+        // Expand any collapsed ancestors hiding it
+        setCollapsed(collapsed => {
+          const next = new Set(collapsed)
+          for (let parent = commentsByID.current.get(comment.parent_id); parent; parent = commentsByID.current.get(parent.parent_id))
+            next.delete(parent.id)
+          return next.size == collapsed.size ? collapsed : next
+        })
+        pendingScroll.current = { id, options, jumps: 0 }
+        setMeasured(measured => measured + 1)
+        return true
+      }
+    }
+    return () => mountedList = undefined
+  }, [setCollapsed])
+
+  // Runs after every render, since rendering or measuring rows can change the range
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useLayoutEffect(() => {
+    updateRange()
+    // Finish any requested scrolling, first jumping to the row's estimated position if it isn't rendered
+    // (which may take a few jumps as the rows around it are measured)
+    const pending = pendingScroll.current
+    if (pending) {
+      const elem = document.getElementById(pending.id)
+      if (elem) {
+        elem.scrollIntoView(pending.options)
+        pendingScroll.current = undefined
+      } else {
+        const idx = visible.findIndex(row => row.comment.id == pending.id)
+        if (idx < 0 || pending.jumps >= 3)
+          pendingScroll.current = undefined
+        else {
+          pending.jumps++
+          window.scrollTo(0, window.scrollY + listRef.current.getBoundingClientRect().top + offsets[idx] - window.innerHeight / 2)
+          updateRange()
+          setMeasured(measured => measured + 1)  // ensures this runs again
+        }
+      }
+    }
+  })
+
+  const end   = Math.min(range[1], visible.length)
+  const start = Math.min(range[0], end)
+  return <div ref={listRef} style={{paddingTop: offsets[start], paddingBottom: offsets[visible.length] - offsets[end]}}>
+    {visible.slice(start, end).map(row =>
+      <Row
+        key={row.comment.id}
+        row={row}
+        isCollapsed={collapsed.has(row.comment.id)}
+        setRowCollapsed={setRowCollapsed}
+        observer={observer}
+        commentProps={commentProps}
+      />
+    )}
+  </div>
+}
+
+export default VirtualCommentList
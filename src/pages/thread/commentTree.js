@@ -0,0 +1,294 @@
+import {
+  topSort, bottomSort, newSort, oldSort, controversialSort, repliesSort, fastestRemovalSort, removedFirstSort,
+  showRemovedAndDeleted, showRemoved, showDeleted, showRemovedBy, removedBy, getRemovedBy,
+  isRemoved, isDeleted, addVersion, archivedUtc, nowUtc
+} from '../../utils'
+
+// The comment tree operations run by ./commentTree.worker.js (see ./treeWorker.js for their API).
+// The worker keeps a copy of just the members of each comment needed to build, filter and sort the tree.
+
+// Keyed by the names (not the values) of sort and filter in ../../state
+const sortFunctions = {
+  top: topSort,
+  bottom: bottomSort,
+  new: newSort,
+  old: oldSort,
+  controversial: controversialSort,
+  replies: repliesSort,
+  fastestRemoval: fastestRemovalSort,
+  removedFirst: removedFirstSort
+}
+const filterFunctions = {
+  removedDeleted: showRemovedAndDeleted,
+  removed: showRemoved,
+  deleted: showDeleted,
+  removedByModerator: showRemovedBy(removedBy.moderator),
+  removedByAutomod: showRemovedBy(removedBy.automod),
+  removedByAdmin: showRemovedBy(removedBy.admin),
+  deletedByUser: showRemovedBy(removedBy.user),
+  accountDeleted: showRemovedBy(removedBy.account)
+}
+
+// The members of each comment which are copied to the worker, followed by those computed from each comment
+const treeMembers = ['id', 'parent_id', 'link_id', 'subreddit', 'score', 'created_utc', 'removed', 'deleted', 'removedBy', 'author',
+  'retrieved_on', 'retrieved_utc', 'controversiality']
+const computedMembers = {
+  isEdited: comment => Boolean(comment.edited) || comment.edited_body !== undefined
+}
+const copiedMembers = [...treeMembers, ...Object.keys(computedMembers)]
+
+// Returns the values of the members of a comment which are copied to the worker
+export const treeValues = comment => [
+  ...treeMembers.map(member => comment[member]),
+  ...Object.values(computedMembers).map(compute => compute(comment))
+]
+
+let comments = new Map()  // comment ID => the members above
+let version = 0           // incremented whenever comments changes
+let commentTree, lengthBeforeFiltering, last = {}
+
+const unflatten = (rootID, context, postID) => {
+  const commentTree = []
+
+  comments.forEach(comment => comment.replies = [])
+
+  if (rootID == postID) {
+    let missingParents = 0  // (usually only while downloading)
+    comments.forEach(comment => {
+      const parentID = comment.parent_id
+      if (parentID == postID)
+        commentTree.push(comment)
+      else {
+        const parentComment = comments.get(comment.parent_id)
+        if (parentComment)
+          parentComment.replies.push(comment)
+        else
+          missingParents++
+      }
+    })
+    if (missingParents)
+      console.warn('Missing parents for', missingParents, 'comments')
+    return commentTree
+
+  } else {
+    const missingRootReplies = []
+    comments.forEach(comment => {
+      const parentID = comment.parent_id
+      const parentComment = comments.get(parentID)
+      if (parentComment)
+        parentComment.replies.push(comment)
+      else if (parentID == rootID)
+        missingRootReplies.push(comment)
+    })
+    let rootComment = comments.get(rootID)
+    if (!rootComment) {
+      const anyComment = comments.values().next().value
+      if (!anyComment)
+        return []
+      rootComment = {
+        id: rootID,
+        link_id:   anyComment.link_id,
+        parent_id: anyComment.link_id,
+        subreddit: anyComment.subreddit,
+        score:   '?',
+        body:    '...',
+        replies: missingRootReplies
+      }
+    }
+    let newRoot
+    while (context && rootComment.parent_id && (newRoot = comments.get(rootComment.parent_id))) {
+      newRoot.replies = [rootComment]
+      rootComment = newRoot
+      context--
+    }
+    return [rootComment]
+  }
+}
+
+// Sets each comment's replyCount (the number of comments below it) and hasRemovedBranch (whether it or
+// any comment below it is removed or deleted), which some of the sort functions require
+const countBranches = comments => comments.forEach(comment => {
+  countBranches(comment.replies)
+  comment.replyCount = comment.replies.reduce((count, reply) => count + reply.replyCount + 1, 0)
+  comment.hasRemovedBranch = comment.removed === true || comment.deleted === true || comment.replies.some(reply => reply.hasRemovedBranch)
+})
+
+const sortCommentTree = (comments, sortFunction) => {
+  comments.sort(sortFunction)
+
+  comments.forEach(comment => {
+    if (comment.replies.length > 0) {
+      sortCommentTree(comment.replies, sortFunction)
+    }
+  })
+}
+
+const filterCommentTree = (comments, filterFunction) => {
+  if (comments.length === 0) {
+    return false
+  }
+
+  let hasOkComment = false
+
+  // Reverse for loop since we are removing stuff
+  for (let i = comments.length - 1; i >= 0; i--) {
+    const comment = comments[i]
+    const isRepliesOk = filterCommentTree(comment.replies, filterFunction)
+    const isCommentOk = filterFunction(comment)
+
+    if (!isRepliesOk && !isCommentOk) {
+      comments.splice(i, 1)
+    } else {
+      hasOkComment = true
+    }
+  }
+
+  return hasOkComment
+}
+
+// Returns a filter function which only passes comments passing all of the (possibly undefined) functions,
+// or undefined if there are none
+const allFilter = functions => {
+  functions = functions.filter(f => f)
+  return functions.length > 1 ? comment => functions.every(f => f(comment)) : functions[0]
+}
+
+// Returns the filter functions for the options of filters (see setCommentFilters() in ../../state) other than
+// maxDepth, and for the mutedAuthors (an Array)
+const optionFilters = (filters, mutedAuthors) => {
+  const authors = new Set(filters.authors?.map(author => author.toLowerCase()))
+  const muted   = new Set(mutedAuthors?.map(author => author.toLowerCase()))
+  return [
+    filters.edited && (comment => comment.isEdited),
+    filters.minScore !== undefined && (comment => comment.score >= filters.minScore),
+    filters.maxScore !== undefined && (comment => comment.score <= filters.maxScore),
+    authors.size > 0 && (comment => authors.has(comment.author?.toLowerCase())),
+    muted.size   > 0 && (comment => !muted.has(comment.author?.toLowerCase()))
+  ]
+}
+
+// Adds the tree's IDs and depths in display order to ids and depths, omitting comments deeper than maxDepth
+const flattenCommentTree = (comments, depth, ids, depths, maxDepth) => depth <= maxDepth && comments.forEach(comment => {
+  ids.push(comment.id)
+  depths.push(depth)
+  flattenCommentTree(comment.replies, depth + 1, ids, depths, maxDepth)
+})
+
+// Updates the copied comments: if reset, first removes them all, then adds (or replaces) those in puts
+// (Arrays of treeValues()), and removes those whose IDs are in deletes
+const sync = (reset, puts, deletes) => {
+  if (reset)
+    comments = new Map()
+  puts.forEach(values => {
+    const comment = {}
+    copiedMembers.forEach((member, i) => comment[member] = values[i])
+    comments.set(comment.id, comment)
+  })
+  deletes.forEach(id => comments.delete(id))
+  version++
+}
+
+// Returns the tree in display order as { ids, depths, lengthBeforeFiltering, placeholder }, where placeholder
+// is a stand-in root comment if rootID hasn't been downloaded. Trees are only rebuilt (rather than just
+// re-sorted or re-filtered) when necessary.
+const build = ({ rootID, context, postID, filterName, sortName, focus, filters = {}, mutedAuthors = [] }) => {
+  console.time('Build comment tree')
+  const { maxDepth = Infinity, ...otherFilters } = filters
+  const optionsKey = JSON.stringify([otherFilters, mutedAuthors])
+  // A tree which was filtered can be filtered again by a narrower filter without rebuilding
+  const needsRebuild = !(version === last.version && rootID === last.rootID && context === last.context && focus === last.focus &&
+    optionsKey === last.optionsKey && (
+      filterName === last.filterName ||
+      last.filterName === 'all' ||
+      last.filterName === 'removedDeleted' && (
+        filterName === 'removed' ||
+        filterName === 'deleted'
+      )
+    ))
+  if (needsRebuild) {
+    commentTree = unflatten(rootID, context, postID)
+    lengthBeforeFiltering = commentTree.length
+  }
+
+  if (needsRebuild || filterName !== last.filterName) {
+    const filterFunction = allFilter([
+      filterFunctions[filterName],
+      focus !== undefined && (comment => comment.author === focus),
+      ...optionFilters(otherFilters, mutedAuthors)
+    ])
+    if (filterFunction)
+      filterCommentTree(commentTree, filterFunction)
+  }
+
+  // (re-sorted after filtering, since that can change replyCount and hasRemovedBranch)
+  if ((needsRebuild || sortName !== last.sortName || filterName !== last.filterName) && sortFunctions[sortName]) {
+    countBranches(commentTree)
+    sortCommentTree(commentTree, sortFunctions[sortName])
+  }
+
+  last = { version, rootID, context, filterName, sortName, focus, optionsKey }
+  const ids = [], depths = []
+  flattenCommentTree(commentTree, 0, ids, depths, maxDepth)
+  const root = commentTree[0]
+  console.timeEnd('Build comment tree')
+  return {
+    ids,
+    depths,
+    lengthBeforeFiltering,
+    placeholder: root && !comments.has(root.id) ? {...root, replies: undefined} : undefined
+  }
+}
+
+// Compares Reddit's versions of comments with the archive's (or undefined if missing from the archive),
+// given as an Array of [archivedComment, redditComment] pairs whose IDs are already short IDs. The
+// archived comments may have been compared before (e.g. when restored from the cache). Returns
+// { results, removed, deleted } where each result is either { comment } if the archived comment should
+// be replaced by this one, or else { id, update } with the members of the archived comment to update.
+const compare = (pairs, providerTitle) => {
+  let removed = 0, deleted = 0
+  const results = pairs.map(([archivedComment, redditComment]) => {
+    let comment, update
+    if (archivedComment === undefined)
+      comment = redditComment  // When a parent comment is missing from the archive, use the redditComment instead
+    else
+      // Replace the archive's score with Reddit's (it's usually more accurate), and add Reddit's controversiality
+      update = { score: redditComment.score, controversiality: redditComment.controversiality }
+    const changed = comment || update
+
+    // Check what is removed / deleted according to reddit
+    if (isRemoved(redditComment.body)) {
+      removed++
+      changed.removed = true
+      if (archivedComment?.deleted)
+        changed.deleted = false
+    } else if (isDeleted(redditComment.body)) {
+      deleted++
+      changed.deleted = true
+      if (archivedComment?.removed)
+        changed.removed = false
+    } else if (archivedComment) {
+      // If it was compared before, it may have since been approved (or undeleted)
+      if (archivedComment.removed)
+        update.removed = false
+      if (archivedComment.deleted)
+        update.deleted = false
+      if (isRemoved(archivedComment.body)) {
+        // If it's deleted in the archive, but later restored by a mod, use the restored
+        redditComment.versions = archivedComment.versions
+        comment = redditComment
+      } else if (archivedComment.body != redditComment.body ||
+                 archivedComment.edited_body !== undefined && archivedComment.edited_body != redditComment.body) {
+        addVersion(archivedComment, archivedComment.body, archivedUtc(archivedComment), providerTitle)
+        addVersion(archivedComment, redditComment.body, nowUtc(), 'Reddit')
+        update.versions    = archivedComment.versions
+        update.edited_body = redditComment.body
+        update.edited      = redditComment.edited
+      }
+    }
+    (comment || update).removedBy = getRemovedBy(redditComment, true)
+    return comment ? { comment } : { id: archivedComment.id, update }
+  })
+  return { results, removed, deleted }
+}
+
+export const handlers = { sync, build, compare }
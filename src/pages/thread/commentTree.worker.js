@@ -0,0 +1,10 @@
+import { handlers } from './commentTree'
+
+// Runs the handlers in ./commentTree for ./treeWorker.js, replying to each message in order
+self.onmessage = ({ data: { seq, type, args } }) => {
+  try {
+    self.postMessage({ seq, result: handlers[type](...args) })
+  } catch (error) {
+    self.postMessage({ seq, error: error.message })
+  }
+}
@@ -0,0 +1,195 @@
+import { parse, isRemoved, removedByTitles, exactDateTime, oldSort } from '../../utils'
+import { Diff } from '@ali-tas/htmldiff-js'
+
+// Serializes a thread (its post and a Map of comments, e.g. pushshiftCommentLookup) to various formats.
+// Each exporter returns { filename, text, type } suitable for download() in utils.
+
+const hasOwnProperty = Object.prototype.hasOwnProperty
+
+export const snapshotFormat = 'unddit-thread'
+export const snapshotVersion = 1
+
+// The members of a comment which are exported (replies are exported as the tree structure instead)
+const commentFields = ['id', 'parent_id', 'link_id', 'subreddit', 'author', 'created_utc', 'score', 'body',
+  'edited_body', 'edited', 'removed', 'deleted', 'removedBy', 'retrieved_on', 'retrieved_utc', 'versions']
+
+const pick = (obj, fields) => {
+  const picked = {}
+  fields.forEach(field => {
+    if (obj[field] !== undefined)
+      picked[field] = obj[field]
+  })
+  return picked
+}
+
+// Returns the comments as a tree: an Array of { comment, depth, replies } sorted oldest first, with
+// comments whose parent is unknown treated as top-level
+const buildTree = (comments, postID) => {
+  const nodes = new Map()
+  comments.forEach(comment => comment && nodes.set(comment.id, {comment, replies: []}))
+  const roots = []
+  nodes.forEach(node => {
+    const parent = node.comment.parent_id != postID && nodes.get(node.comment.parent_id)
+    if (parent)
+      parent.replies.push(node)
+    else
+      roots.push(node)
+  })
+  const sortAndSetDepth = (nodes, depth) => {
+    nodes.sort((a, b) => oldSort(a.comment, b.comment))
+    nodes.forEach(node => {
+      node.depth = depth
+      sortAndSetDepth(node.replies, depth + 1)
+    })
+  }
+  sortAndSetDepth(roots, 0)
+  return roots
+}
+
+// Calls callback(node) for each node in the tree, depth first
+const walkTree = (nodes, callback) => nodes.forEach(node => {
+  callback(node)
+  walkTree(node.replies, callback)
+})
+
+const baseFilename = post => `${post.subreddit || 'reddit'}-${post.id}`
+
+const isoDate = utc => utc ? new Date(utc * 1000).toISOString() : ''
+
+const statusOf = item => item.removed ? 'removed' : item.deleted ? 'deleted' : ''
+
+const removedByOf = item => removedByTitles[item.removedBy] || ''
+
+// A snapshot which can be re-opened later via the /import page
+export const toJSON = (post, comments) => {
+  const snapshot = {
+    format: snapshotFormat,
+    version: snapshotVersion,
+    exportedAt: new Date().toISOString(),
+    post,
+    comments: []
+  }
+  walkTree(buildTree(comments, post.id), ({ comment }) => snapshot.comments.push(pick(comment, commentFields)))
+  return { filename: `${baseFilename(post)}.json`, text: JSON.stringify(snapshot, null, 1), type: 'application/json' }
+}
+
+const csvField = value => {
+  value = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value
+}
+
+// One row per comment (the post is not included)
+export const toCSV = (post, comments) => {
+  const rows = [['id', 'parent_id', 'depth', 'author', 'created', 'score', 'status', 'removed_by', 'edited', 'body', 'edited_body']]
+  walkTree(buildTree(comments, post.id), ({ comment, depth }) => rows.push([
+    comment.id, comment.parent_id, depth, comment.author, isoDate(comment.created_utc), comment.score, statusOf(comment), removedByOf(comment),
+    isoDate(comment.edited) || (hasOwnProperty.call(comment, 'edited_body') ? 'yes' : ''), comment.body, comment.edited_body
+  ]))
+  return { filename: `${baseFilename(post)}.csv`, text: rows.map(row => row.map(csvField).join(',')).join('\r\n'), type: 'text/csv' }
+}
+
+// Quotes each line of text (which is already Reddit-flavored markdown) depth times
+const quote = (text, depth) => {
+  const prefix = '>'.repeat(depth) + (depth ? ' ' : '')
+  return text.split('\n').map(line => (prefix + line).trimEnd()).join('\n')
+}
+
+const markdownHeading = item => [
+  `**${item.author}**`,
+  `${item.score} points`,
+  item.created_utc ? exactDateTime(item.created_utc) : undefined,
+  item.removedBy ? `**[${removedByOf(item)}]**` : item.removed ? '**[removed]**' : item.deleted ? '**[deleted]**' : undefined,
+  hasOwnProperty.call(item, 'edited_body') || hasOwnProperty.call(item, 'edited_selftext') || item.edited ? '*edited*' : undefined
+].filter(part => part).join(' · ')
+
+// Comments are nested as quotes
+export const toMarkdown = (post, comments) => {
+  const lines = [`# ${post.title || post.id}`, '', `/r/${post.subreddit} · ${markdownHeading(post)}`, '']
+  if (post.url && !post.is_self)
+    lines.push(post.url, '')
+  if (post.selftext) {
+    lines.push(post.selftext, '')
+    if (hasOwnProperty.call(post, 'edited_selftext'))
+      lines.push('*Edited to:*', '', post.edited_selftext, '')
+  }
+  lines.push('---', '')
+  walkTree(buildTree(comments, post.id), ({ comment, depth }) => {
+    lines.push(quote(markdownHeading(comment), depth + 1), quote('', depth + 1))
+    lines.push(quote(comment.body || '', depth + 1))
+    if (hasOwnProperty.call(comment, 'edited_body'))
+      lines.push(quote('', depth + 1), quote('*Edited to:*', depth + 1), quote('', depth + 1), quote(comment.edited_body, depth + 1))
+    lines.push('')
+  })
+  return { filename: `${baseFilename(post)}.md`, text: lines.join('\n'), type: 'text/markdown' }
+}
+
+const escapeHTML = text => String(text ?? '')
+  .replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;').replaceAll('"', '&quot;')
+
+// Edits are shown as a diff, as they are by default on the thread page
+const bodyHTML = (body, editedBody) => {
+  if (isRemoved(body) && editedBody === undefined)
+    return '<p>[removed too quickly to be archived]</p>'
+  return editedBody === undefined ? parse(body || '') : Diff.execute(parse(body || ''), parse(editedBody))
+}
+
+const headHTML = item => `
+  <a class="author comment-author">${escapeHTML(item.author)}${item.deleted ? ' (deleted by user)' : ''}</a>
+  <span class="comment-score">${escapeHTML(item.score)} points</span>
+  <span class="comment-time">${item.created_utc ? escapeHTML(exactDateTime(item.created_utc)) : ''}</span>
+  ${item.edited || hasOwnProperty.call(item, 'edited_body') ? '<span class="comment-time">* (edited)</span>' : ''}`
+
+const commentHTML = ({ comment, depth, replies }) => `
+<div id="${escapeHTML(comment.id)}" class="comment ${statusOf(comment) || (depth % 2 ? 'comment-odd' : 'comment-even')}">
+  <div class="comment-head">${headHTML(comment)}</div>
+  <div class="comment-body">${bodyHTML(comment.body, comment.edited_body)}</div>
+  <div>${replies.map(commentHTML).join('')}</div>
+</div>`
+
+// All of the site's current CSS rules (the stylesheets are same-origin)
+const pageCSS = () => Array.from(document.styleSheets, sheet => {
+  try {
+    return Array.from(sheet.cssRules, rule => rule.cssText).join('\n')
+  } catch (error) {
+    return ''
+  }
+}).join('\n')
+
+// A self-contained page styled with the current theme
+export const toHTML = (post, comments) => {
+  const title = escapeHTML(post.title || post.id)
+  const text = `<!DOCTYPE html>
+<html data-theme="${escapeHTML(document.documentElement.dataset.theme)}">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+${pageCSS()}
+</style>
+</head>
+<body>
+<div class="main">
+<div class="${statusOf(post)}">
+  <div class="thread"><div class="thread-content">
+    <a class="thread-title"${post.url ? ` href="${escapeHTML(post.url)}"` : ''}>${title}</a>
+    <div class="thread-info">submitted ${post.created_utc ? escapeHTML(exactDateTime(post.created_utc)) : ''}
+      by <a class="thread-author author">${escapeHTML(post.author)}</a> to /r/${escapeHTML(post.subreddit)}</div>
+  </div></div>
+  ${post.selftext ? `<div class="thread-content"><div class="thread-selftext user-text">${
+    bodyHTML(post.selftext, post.edited_selftext)}</div></div>` : ''}
+</div>
+<div id="comment-info">exported ${escapeHTML(exactDateTime(Date.now() / 1000))}</div>
+${buildTree(comments, post.id).map(commentHTML).join('')}
+</div>
+</body>
+</html>
+`
+  return { filename: `${baseFilename(post)}.html`, text, type: 'text/html' }
+}
+
+export const exporters = {
+  json:     ['JSON',     toJSON],
+  csv:      ['CSV',      toCSV],
+  markdown: ['Markdown', toMarkdown],
+  html:     ['HTML',     toHTML]
+}
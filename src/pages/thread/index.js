@@ -4,22 +4,32 @@ import {
   getPost,
   getComments as getRedditComments,
   getParentComments,
+  walkCommentTree,
   chunkSize as redditChunkSize
 } from '../../api/reddit'
 import {
-  getPost as getPushshiftPost,
-  getComments as getPushshiftComments,
+  getPost as getArchivePost,
+  getComments as getArchiveComments,
   getCommentsFromIds,
-  chunkSize as pushshiftChunkSize
-} from '../../api/pushshift'
-import { isDeleted, isRemoved, sleep, get, put } from '../../utils'
+  getProviderTitle,
+  chunkSize as archiveChunkSize
+} from '../../api/archive'
+import { getCachedThread, putCachedThread } from '../../api/cache'
+import { priority } from '../../api/scheduler'
+import { isDeleted, isRemoved, removedBy, getRemovedBy, isAbortError, sleep, get, put, addVersion, archivedUtc,
+         nowUtc, download } from '../../utils'
 import { connect, constrainMaxComments } from '../../state'
 import Post from '../common/Post'
-import CommentSection from './CommentSection'
+import CommentSection, { scrollToComment, subscribeToDisplayed } from './CommentSection'
 import SortBy from './SortBy'
 import CommentInfo from './CommentInfo'
+import Analytics from './Analytics'
 import LoadMore from './LoadMore'
+import AuthorFocus from './AuthorFocus'
+import ThreadSearch from './ThreadSearch'
 import Modal from './Modal'
+import { compareComments } from './treeWorker'
+import { exporters } from './exporters'
 
 // A FIFO queue with items pushed in individually, and shifted out in an Array of chunkSize
 class ChunkedQueue {
@@ -57,6 +67,9 @@ const EARLIEST_CREATED = 1
 // Key for localStorage
 const dismissModalKey = 'modal'
 
+// While downloading, the displayed comments are updated at most this often
+const msProgressiveRender = 1000
+
 class Thread extends React.Component {
   state = {
     post: {},
@@ -69,10 +82,13 @@ class Thread extends React.Component {
     loadedAllComments: false,
     loadingComments: true,
     reloadingComments: false,
+    showAnalytics: false,
+    focusAuthor: undefined,  // highlights the comments of this author
+    focusOnly: false,        // if true, only comments of the focusAuthor (and their ancestors) are shown
+    search: undefined,       // the results of the current search, see findMatches() in ThreadSearch
+    commentsRevision: 0,     // incremented (see commentsChanged()) to update the displayed comments
     showModal: !get(dismissModalKey)
   }
-  nextMoreContextAvail = true
-  nextAllCommentsFiltered = false
 
   // A 'contig' is an object representing a contiguous block of comments currently being downloaded or already
   // downloaded, e.g. { firstCreated: #, lastCreated: # } (secs past the epoch; min. value of EARLIEST_CREATED)
@@ -108,14 +124,45 @@ class Thread extends React.Component {
       this.state.deleted++  // eslint-disable-line react/no-direct-mutation-state
       comment.deleted = true
     }
+    comment.removedBy = getRemovedBy(comment, true)
     this.state.pushshiftCommentLookup.set(comment.id, comment)
+    this.commentsChanged()
+  }
+
+  // Must be called after pushshiftCommentLookup or its comments are modified; while downloading, this
+  // displays the comments downloaded so far (and their removed status so far) without rebuilding the
+  // comment tree for every chunk
+  commentsChanged () {
+    if (!this.revisionTimeout)
+      this.revisionTimeout = setTimeout(() => {
+        this.revisionTimeout = undefined
+        this.setState({commentsRevision: this.state.commentsRevision + 1})
+      }, msProgressiveRender)
+  }
+
+  // Undoes the removed/deleted count of a comment which is about to be replaced
+  uncountComment (comment) {
+    if (comment.removed)
+      this.state.removed--  // eslint-disable-line react/no-direct-mutation-state
+    else if (comment.deleted)
+      this.state.deleted--  // eslint-disable-line react/no-direct-mutation-state
   }
 
   commentIdAttempts = new Set()  // keeps track of attempts to load permalinks to avoid reattempts
 
+  postAbortController = new AbortController()  // aborted when unmounted
+  abortController     = new AbortController()  // aborted by cancelLoading() or when unmounted
+  uncomparedIDs = new Set()  // comments downloaded but not yet compared with Reddit's
+  replacedTreeComments = new Map()  // IDs of uncompared comments => those from getMissingComments() they replaced
+  cachedIDs = new Set()      // comments restored from the cache but not yet compared with Reddit's again
+  queuedCachedIDs = false    // true once the cachedIDs have been queued by getComments() (until cancelled)
+  walkingRedditTree = false  // true once getMissingComments() has been called (until cancelled)
+  walkedRedditTree = false   // true once getMissingComments() has finished (also saved in the cache)
+
   componentDidMount () {
     const { subreddit, threadID, commentID } = this.props.match.params
     const { location } = this.props
+    this.props.global.applyViewQuery(location.search)
     this.setState({ post: {subreddit, id: threadID} })
     this.props.global.setLoading('Loading post...')
     console.time('Load comments')
@@ -123,10 +170,12 @@ class Thread extends React.Component {
     // Get post from Reddit. Each code path below should end in either
     //   setLoading() on success (if comments are still loading), or
     //   setError() and assigning stopLoading = true on failure.
-    getPost(threadID)
+    const { signal } = this.postAbortController
+    getPost(threadID, signal)
       .then(post => {
         document.title = post.title
-        if (isDeleted(post.selftext))
+        post.removedBy = getRemovedBy(post, true)
+        if (isDeleted(post.selftext) || post.removedBy == removedBy.user)
           post.deleted = true
         else if (isRemoved(post.selftext) || post.removed_by_category)
           post.removed = true
@@ -142,7 +191,7 @@ class Thread extends React.Component {
           if (post.is_self)
             post.selftext = '...'  // temporarily remove selftext to avoid flashing it onscreen
           this.setState({ post })
-          getPushshiftPost(threadID)
+          getArchivePost(threadID, signal)
             .then(origPost => {
               if (origPost) {
 
@@ -151,6 +200,7 @@ class Thread extends React.Component {
                   origPost.score = post.score
                   origPost.num_comments = post.num_comments
                   origPost.edited = post.edited
+                  origPost.removedBy = post.removedBy
                   if (post.deleted)
                     origPost.deleted = true
                   else
@@ -162,6 +212,9 @@ class Thread extends React.Component {
                   if (redditSelftext != origPost.selftext && !isRemoved(origPost.selftext)) {
                     post.selftext = origPost.selftext
                     post.edited_selftext = redditSelftext
+                    addVersion(post, origPost.selftext, archivedUtc(origPost), getProviderTitle())
+                    addVersion(post, redditSelftext, nowUtc(), 'Reddit')
+                    this.addCachedVersions(post)
                   } else
                     post.selftext = redditSelftext  // edited selftext not archived by Pushshift, use Reddit's
                   this.setState({ post })
@@ -177,6 +230,8 @@ class Thread extends React.Component {
                 this.props.global.setLoading('Loading comments...')
             })
             .catch(error => {
+              if (isAbortError(error))
+                return
               console.timeEnd('Load comments')
               this.props.global.setError(error, error.helpUrl)
               this.stopLoading = true
@@ -186,11 +241,13 @@ class Thread extends React.Component {
         }
       })
       .catch(error => {
+        if (isAbortError(error))
+          return
         const origMessage = error.origError?.message
 
         // Fetch the post from Pushshift if quarantined/banned (403) or not found (404)
         if (origMessage && (origMessage.startsWith('403') || origMessage.startsWith('404'))) {
-          getPushshiftPost(threadID)
+          getArchivePost(threadID, signal)
             .then(removedPost => {
               if (removedPost) {
                 document.title = removedPost.title
@@ -210,6 +267,8 @@ class Thread extends React.Component {
               }
             })
             .catch(error => {
+              if (isAbortError(error))
+                return
               console.timeEnd('Load comments')
               this.props.global.setError(error, error.helpUrl)
               this.stopLoading = true
@@ -227,40 +286,56 @@ class Thread extends React.Component {
     const maxComments = Math.max(this.props.global.maxComments,
       constrainMaxComments(parseInt(searchParams.get('max_comments'))))
 
-    // Get comments starting from the earliest available (not a permalink)
-    if (commentID === undefined) {
-      this.contigs.unshift({firstCreated: EARLIEST_CREATED})
-      this.getComments(maxComments)
-
-    // Get comments starting from the permalink if possible, otherwise from the earliest available
-    } else {
-      this.commentIdAttempts.add(commentID)
-      getRedditComments([commentID])
-        .then(([comment]) => {
-          if (comment)
-            this.fullnamesToShortIDs(comment)
-          if (comment?.link_id != threadID) {
-            console.timeEnd('Load comments')
-            this.props.global.setError({ message: 'Invalid permalink' })
-            this.setState({loadingComments: false})
-            console.error('link_id mismatch:', comment)
-            return
-          }
-          const context = parseInt(searchParams.get('context'))
-          if (context > 0)
-            this.contextPromise = this.getContext(context)
-          this.contigs.unshift({firstCreated: comment?.created_utc || EARLIEST_CREATED})
-          this.getComments(maxComments, false, comment)
-        })
-        .catch(() => {
+    // Restore any previously cached comments, otherwise start downloading them
+    getCachedThread(threadID, this.props.global.state.archiveProvider)
+      .then(cached => {
+        if (this.stopLoading)
+          return
+        if (cached)
+          this.restoreCachedThread(cached, maxComments)
+
+        // Get comments starting from the earliest available (not a permalink)
+        else if (commentID === undefined) {
           this.contigs.unshift({firstCreated: EARLIEST_CREATED})
           this.getComments(maxComments)
-        })
 
-      // Set the scroll location to just below the post if not already set (only with permalinks)
-      if (!location.hash)
-        location.hash = '#comment-info'
-    }
+        // Get comments starting from the permalink if possible, otherwise from the earliest available
+        } else {
+          this.commentIdAttempts.add(commentID)
+          const { signal } = this.abortController
+          getRedditComments([commentID], priority.high, signal)
+            .then(([comment]) => {
+              if (signal.aborted)
+                return
+              if (comment)
+                this.fullnamesToShortIDs(comment)
+              if (comment?.link_id != threadID) {
+                console.timeEnd('Load comments')
+                this.props.global.setError({ message: 'Invalid permalink' })
+                this.setState({loadingComments: false})
+                console.error('link_id mismatch:', comment)
+                return
+              }
+              const context = parseInt(searchParams.get('context'))
+              if (context > 0)
+                this.contextPromise = this.getContext(context)
+              this.contigs.unshift({firstCreated: comment?.created_utc || EARLIEST_CREATED})
+              this.getComments(maxComments, false, comment)
+            })
+            .catch(error => {
+              if (isAbortError(error) || signal.aborted)
+                return
+              this.contigs.unshift({firstCreated: EARLIEST_CREATED})
+              this.getComments(maxComments)
+            })
+        }
+      })
+
+    this.unsubscribeFromDisplayed = subscribeToDisplayed(() => this.scrollToHash())
+
+    // Set the scroll location to just below the post if not already set (only with permalinks)
+    if (commentID !== undefined && !location.hash)
+      location.hash = '#comment-info'
 
     if (location.hash) {
       location.state = {scrollBehavior: 'smooth'}
@@ -269,6 +344,50 @@ class Thread extends React.Component {
     }
   }
 
+  // Adds any versions of the post's selftext seen during an earlier (cached) visit
+  addCachedVersions (post) {
+    this.cachedPostVersions?.forEach(({ text, captured, source }) => addVersion(post, text, captured, source))
+  }
+
+  // Displays a thread restored from the cache, and then downloads only newer comments
+  restoreCachedThread (cached, maxComments) {
+    const { pushshiftCommentLookup } = this.state
+    cached.comments.forEach(comment => pushshiftCommentLookup.set(comment.id, comment))
+    this.cachedIDs = new Set(cached.comments.map(comment => comment.id))
+    this.contigs = cached.contigs
+    this.walkedRedditTree = Boolean(cached.walkedRedditTree)
+    this.cachedPostVersions = cached.post?.versions
+    if (!this.state.post.title && cached.post?.title) {
+      document.title = cached.post.title
+      this.setState({ post: cached.post })
+    } else if (this.state.post.versions) {  // if the post was already loaded and edited
+      this.addCachedVersions(this.state.post)
+      this.setState({ post: this.state.post })
+    }
+    this.setState({
+      removed: cached.removed,
+      deleted: cached.deleted,
+      loadingComments: false,
+      reloadingComments: true
+    })
+    if (this.updateCurContig())
+      this.getComments(maxComments, true)
+    else
+      this.setState({reloadingComments: false})  // componentDidUpdate() will start downloading
+  }
+
+  // Saves everything downloaded so far; should only be called once loading has finished
+  saveToCache () {
+    putCachedThread(this.props.match.params.threadID, this.props.global.state.archiveProvider, {
+      post: this.state.post,
+      comments: this.state.pushshiftCommentLookup.values(),
+      contigs: this.contigs.filter(contig => contig.lastCreated !== undefined),
+      removed: this.state.removed,
+      deleted: this.state.deleted,
+      walkedRedditTree: this.walkedRedditTree
+    })
+  }
+
   // Updates this.curContigIdx based on URL's commentID if it's already downloaded.
   // Returns true on success, or false if not found (and then curContigIdx is not updated).
   updateCurContig () {
@@ -294,22 +413,42 @@ class Thread extends React.Component {
       this.setState({loadedAllComments})
   }
 
-  componentDidUpdate () {
-    let { loadingComments } = this.state
+  componentDidUpdate (prevProps) {
+    let { loadingComments, reloadingComments } = this.state
     const { commentID } = this.props.match.params
 
+    if (this.props.location.search !== prevProps.location.search ||
+        this.props.match.params.threadID !== prevProps.match.params.threadID)
+      this.props.global.applyViewQuery(this.props.location.search)
+
+    // Switching permalinks cancels any downloads in progress
+    const prevCommentID = prevProps.match.params.commentID
+    if (commentID !== prevCommentID && (loadingComments || reloadingComments)) {
+      this.cancelLoading(prevCommentID)
+      loadingComments = reloadingComments = false
+    }
+
     // If the max-to-download Reload button or 'load more comments' was clicked
     const { loadingMoreComments } = this.props.global.state
+    let cancelledLoading = false
     if (loadingMoreComments) {
       this.props.global.state.loadingMoreComments = 0
+      // Reloading while downloading cancels the downloads in progress and then restarts them
+      if (loadingComments || reloadingComments) {
+        this.cancelLoading(commentID)
+        loadingComments = reloadingComments = false
+        cancelledLoading = true
+      }
+    }
+    const maxComments = loadingMoreComments || this.props.global.maxComments
+    if (loadingMoreComments && (this.updateCurContig() || !cancelledLoading)) {
       this.setState({reloadingComments: true})
       this.props.global.setLoading('Loading comments...')
       console.time('Load comments')
-      this.updateCurContig()
       this.getComments(loadingMoreComments, true)
 
     // Otherwise if we're not already downloading comments, check to see if we need to start
-    } else if (!loadingComments && !this.state.reloadingComments) {
+    } else if (!loadingComments && !reloadingComments) {
 
       // If we're loading a comment tree we haven't downloaded yet
       if (!this.updateCurContig()) {
@@ -322,7 +461,7 @@ class Thread extends React.Component {
           console.time('Load comments')
           this.contigs.unshift({firstCreated: EARLIEST_CREATED})
           this.setCurContig(0)
-          this.getComments(this.props.global.maxComments)
+          this.getComments(maxComments)
 
         // Otherwise if we haven't downloaded this permalink yet
         } else if (!this.commentIdAttempts.has(commentID)) {
@@ -331,9 +470,12 @@ class Thread extends React.Component {
           this.props.global.setLoading('Loading comments...')
           console.time('Load comments')
           let createdUtcNotFound  // true if Reddit doesn't have the comment's created_utc
+          const { signal } = this.abortController
           const hasComment = this.state.pushshiftCommentLookup.get(commentID);
-          (hasComment ? Promise.resolve([hasComment]) : getRedditComments([commentID]))
+          (hasComment ? Promise.resolve([hasComment]) : getRedditComments([commentID], priority.high, signal))
             .then(([comment]) => {
+              if (signal.aborted)
+                return
               const created_utc = comment?.created_utc
               if (created_utc > EARLIEST_CREATED) {
                 let insertBefore = this.contigs.findIndex(contig => created_utc < contig.firstCreated)
@@ -346,7 +488,7 @@ class Thread extends React.Component {
                   this.setCurContig(insertBefore)
                   if (!hasComment)
                     this.fullnamesToShortIDs(comment)
-                  this.getComments(this.props.global.maxComments, false, comment)
+                  this.getComments(maxComments, false, comment)
 
                 // Otherwise an earlier attempt to download it from Pushshift turned up nothing,
                 } else if (!hasComment) {
@@ -356,6 +498,7 @@ class Thread extends React.Component {
                   console.timeEnd('Load comments')
                   this.props.global.setSuccess()
                   this.setState({loadingComments: false, reloadingComments: false})
+                  this.saveToCache()
                 } else
                   createdUtcNotFound = true
               } else
@@ -363,20 +506,26 @@ class Thread extends React.Component {
             })
             .catch(() => createdUtcNotFound = true)
             .finally(() => {
-              if (createdUtcNotFound) {
+              if (createdUtcNotFound && !signal.aborted) {
                 // As a last resort, try to download starting from the previous contig;
                 // this only occurs once per commentID due to the commentIdAttempts Set.
                 if (this.curContigIdx > 0)
                   this.setCurContig(this.curContigIdx - 1)
                 // If there is no previous, create one
-                else if (this.curContig().firstCreated != EARLIEST_CREATED)
+                else if (this.curContig()?.firstCreated != EARLIEST_CREATED)
                   this.contigs.unshift({firstCreated: EARLIEST_CREATED})
-                this.getComments(this.props.global.maxComments)
+                this.getComments(maxComments)
               }
             })
         }
       } // end of "If we're loading a comment tree we haven't downloaded yet"
 
+      // If enabled, find comments missing from the archive once the whole thread has been downloaded
+      if (!loadingComments && commentID === undefined && !this.walkingRedditTree && !this.walkedRedditTree &&
+          this.props.global.state.findMissingComments && this.curContig()?.loadedAllComments &&
+          !this.props.global.isErrored())
+        this.getMissingComments()
+
       // Check if the context query parameter has changed
       if (commentID) {
         const context = Math.max(parseInt((new URLSearchParams(this.props.location.search)).get('context')) || 0, 0)
@@ -384,12 +533,16 @@ class Thread extends React.Component {
           this.setState({reloadingComments: true})
           this.props.global.setLoading('Loading comments...')
           console.time('Load comments')
+          const { signal } = this.abortController
           this.getContext(context)  // also updates state.context
             .then(commentCount => {
+              if (signal.aborted)
+                return
               console.log('Reddit:', commentCount, 'comments')
               console.timeEnd('Load comments')
               this.props.global.setSuccess()
               this.setState({loadingComments: false, reloadingComments: false})
+              this.saveToCache()
             })
         } else if (context != this.state.context)
           this.setState({ context })
@@ -398,61 +551,52 @@ class Thread extends React.Component {
 
     } // end of "If we're not already downloading comments, check to see if we need to start"
 
-    // Handle any requested scrolling
+    this.scrollToHash(loadingComments)
+  }
+
+  // Handles any requested scrolling; also called whenever CommentSection displays a new comment tree
+  scrollToHash = (loadingComments = this.state.loadingComments) => {
     const { location } = this.props
     if (location.state?.scrollBehavior && location.hash.length > 1 &&
         !loadingComments && !this.props.global.isErrored()) {
-      const hashElem = document.getElementById(location.hash.substring(1))
-      if (hashElem) {
-        hashElem.scrollIntoView({behavior: location.state.scrollBehavior})
+      if (scrollToComment(location.hash.substring(1), {behavior: location.state.scrollBehavior}))
         delete location.state
-      }
     }
+  }
 
-    if (this.nextMoreContextAvail != this.state.moreContextAvail)
-      this.setState({moreContextAvail: this.nextMoreContextAvail})
-    if (this.nextAllCommentsFiltered != this.state.allCommentsFiltered)
-      this.setState({allCommentsFiltered: this.nextAllCommentsFiltered})
+  // Called by CommentSection (after rendering) with what it displayed
+  setMoreContextAvail = moreContextAvail => {
+    if (moreContextAvail != this.state.moreContextAvail)
+      this.setState({moreContextAvail})
+  }
+  setAllCommentsFiltered = allCommentsFiltered => {
+    if (allCommentsFiltered != this.state.allCommentsFiltered)
+      this.setState({allCommentsFiltered})
   }
 
-  // Before calling, state.pushshiftCommentLookup must be populated.
-  // Compares an array of Reddit comments with those in pushshiftCommentLookup,
-  // updating them to reflect their removed/deleted/edited status and then
-  // updates the state's removed/deleted count. Returns the number processed.
-  compareAndUpdateComments (redditComments) {
+  // Compares comments from Reddit with those downloaded from the archive (in the tree worker), updating
+  // the archived ones. Resolves with the number of Reddit comments.
+  async compareAndUpdateComments (redditComments) {
     if (redditComments.length == 0)
       return 0
     const { pushshiftCommentLookup } = this.state
-    let removed = 0, deleted = 0
-    redditComments.forEach(redditComment => {
-      let pushshiftComment = pushshiftCommentLookup.get(redditComment.id)
-      if (pushshiftComment === undefined) {
-        // When a parent comment is missing from pushshift, use the redditComment instead
-        pushshiftComment = this.fullnamesToShortIDs(redditComment)
-        pushshiftCommentLookup.set(pushshiftComment.id, pushshiftComment)
-      } else {
-        // Replace pushshift score with reddit (it's usually more accurate)
-        pushshiftComment.score = redditComment.score
-      }
-
-      // Check what is removed / deleted according to reddit
-      if (isRemoved(redditComment.body)) {
-        removed++
-        pushshiftComment.removed = true
-      } else if (isDeleted(redditComment.body)) {
-        deleted++
-        pushshiftComment.deleted = true
-      } else if (pushshiftComment !== redditComment) {
-        if (isRemoved(pushshiftComment.body)) {
-          // If it's deleted in pushshift, but later restored by a mod, use the restored
-          this.fullnamesToShortIDs(redditComment)
-          pushshiftCommentLookup.set(redditComment.id, redditComment)
-        } else if (pushshiftComment.body != redditComment.body) {
-          pushshiftComment.edited_body = redditComment.body
-          pushshiftComment.edited = redditComment.edited
-        }
-      }
+    const pairs = redditComments.map(redditComment => {
+      const archived = pushshiftCommentLookup.get(redditComment.id)
+      return [archived && {...archived, replies: undefined}, this.fullnamesToShortIDs(redditComment)]
+    })
+    // Comments restored from the cache were already counted, but they're recounted once compared again
+    pairs.forEach(([archived]) => {
+      if (archived && this.cachedIDs.delete(archived.id))
+        this.uncountComment(archived)
+    })
+    const { results, removed, deleted } = await compareComments(pairs, getProviderTitle())
+    results.forEach(({ comment, id, update }) => {
+      if (comment)
+        pushshiftCommentLookup.set(comment.id, comment)
+      else if (pushshiftCommentLookup.get(id))
+        Object.assign(pushshiftCommentLookup.get(id), update)
     })
+    this.commentsChanged()
     this.setState({ removed: this.state.removed + removed, deleted: this.state.deleted + deleted })
     return redditComments.length
   }
@@ -466,77 +610,98 @@ class Thread extends React.Component {
   getComments (newCommentCount, persistent = false, commentHint = undefined) {
     const { threadID, commentID } = this.props.match.params
     const { pushshiftCommentLookup } = this.state
+    const { signal } = this.abortController
+    const { uncomparedIDs } = this
     const redditIdQueue = new ChunkedQueue(redditChunkSize)
     const pushshiftPromises = [], redditPromises = []
+    const isStopped = () => this.stopLoading || signal.aborted
     let doRedditComments
 
-    // Process a chunk of comments downloaded from Pushshift (called by getPushshiftComments() below)
+    // Process a chunk of comments downloaded from the archive (called by getArchiveComments() below)
     const processPushshiftComments = comments => {
-      if (comments.length && !this.stopLoading) {
+      if (comments.length && !isStopped()) {
         pushshiftPromises.push(sleep(0).then(() => {
+          if (signal.aborted)
+            return 0
           let count = 0
           comments.forEach(comment => {
             const { id, parent_id } = comment
-            if (!pushshiftCommentLookup.has(id)) {
+            const existing = pushshiftCommentLookup.get(id)
+            if (!pushshiftCommentLookup.has(id) || existing?.fromRedditTree) {
+              // Replace any comment found by getMissingComments() (it's recounted once compared)
+              if (existing) {
+                this.uncountComment(existing)
+                this.replacedTreeComments.set(id, existing)
+              }
               pushshiftCommentLookup.set(id, comment)
+              uncomparedIDs.add(id)
               redditIdQueue.push(id)
               count++
               // When viewing the full thread (to prevent false positives), if a parent_id is a comment
               // (not a post/thread) and it's missing from Pushshift, try to get it from Reddit instead.
               if (commentID === undefined && parent_id != threadID && !pushshiftCommentLookup.has(parent_id)) {
                 pushshiftCommentLookup.set(parent_id, undefined)  // prevents adding it to the Queue multiple times
+                uncomparedIDs.add(parent_id)
                 redditIdQueue.push(parent_id)
               }
             }
           })
           while (redditIdQueue.hasFullChunk())
             doRedditComments(redditIdQueue.shiftChunk())
+          if (count)
+            this.commentsChanged()
           return count
         }))
       }
-      return !this.stopLoading  // causes getPushshiftComments() to exit early if set
+      return !isStopped()  // causes getArchiveComments() to exit early if set
     }
 
     // Download a list of comments by id from Reddit, and process them
-    doRedditComments = ids => redditPromises.push(getRedditComments(ids)
-      .then(comments => this.compareAndUpdateComments(comments))
+    doRedditComments = ids => redditPromises.push(getRedditComments(ids, priority.bulk, signal)
+      .then(comments => {
+        ids.forEach(id => {
+          uncomparedIDs.delete(id)
+          this.replacedTreeComments.delete(id)
+        })
+        return this.compareAndUpdateComments(comments)
+      })
       .catch(error => {
+        if (isAbortError(error))
+          return 0
         console.timeEnd('Load comments')
         this.props.global.setError(error, error.helpUrl)
         this.stopLoading = true
       })
     )
 
-    // Download comments from Pushshift into the current contig, and process each chunk (above) as it's retrieved
+    // Compare any comments restored from the cache with Reddit's again, to pick up edits and removals since
+    if (!this.queuedCachedIDs) {
+      this.queuedCachedIDs = true
+      this.cachedIDs.forEach(id => redditIdQueue.push(id))
+      while (redditIdQueue.hasFullChunk())
+        doRedditComments(redditIdQueue.shiftChunk())
+    }
+
+    // Download comments from the archive into the current contig, and process each chunk (above) as it's retrieved
     const after = this.curContig().lastCreated - 1 || this.curContig().firstCreated - 1
     const before = this.nextContig()?.firstCreated + 1
-    getPushshiftComments(processPushshiftComments, threadID, newCommentCount, after, before)
+    getArchiveComments(processPushshiftComments, threadID, newCommentCount, after, before, signal)
       .then(([lastCreatedUtc, curContigLoadedAll]) => {
-
-        // Update the contigs array
-        if (curContigLoadedAll) {
-          if (before) {
-            this.curContig().lastCreated = before - 1
-            this.mergeContigs()
-          } else {
-            this.curContig().lastCreated = lastCreatedUtc
-            this.curContig().loadedAllComments = true
-          }
-        } else
-          this.curContig().lastCreated = lastCreatedUtc
-        if (this.stopLoading)
+        if (isStopped())
           return
 
         // Finished retrieving comments from Pushshift; wait for processing to finish
         this.props.global.setLoading('Comparing comments...')
         Promise.all(pushshiftPromises).then(lengths => {
+          if (isStopped())
+            return
           const pushshiftComments = lengths.reduce((a,b) => a+b, 0)
-          console.log('Pushshift:', pushshiftComments, 'comments')
+          console.log('Archive:', pushshiftComments, 'comments')
 
           // If Pushshift didn't find the Reddit commentHint, but should have, use Reddit's comment
           if (commentHint && !pushshiftCommentLookup.has(commentHint.id) &&
               commentHint.created_utc >= this.curContig().firstCreated && (
-                commentHint.created_utc < this.curContig().lastCreated || curContigLoadedAll
+                commentHint.created_utc < lastCreatedUtc || curContigLoadedAll
               )) {
             this.useRedditComment(commentHint)
             commentHint = undefined
@@ -548,31 +713,47 @@ class Thread extends React.Component {
           if (this.contextPromise)
             redditPromises.push(this.contextPromise)
           Promise.all(redditPromises).then(lengths => {
+            if (isStopped())
+              return
             this.contextPromise = undefined
             console.log('Reddit:', lengths.reduce((a,b) => a+b, 0), 'comments')
 
-            if (!this.stopLoading) {
-              const loadedAllComments = Boolean(this.curContig().loadedAllComments)
-              if (persistent && !loadedAllComments && pushshiftComments <= newCommentCount - pushshiftChunkSize)
-                this.getComments(newCommentCount - pushshiftComments, true, commentHint)
-
-              else {
-                console.timeEnd('Load comments')
-                this.props.global.setSuccess()
-                this.setState({
-                  pushshiftCommentLookup,
-                  removed: this.state.removed,
-                  deleted: this.state.deleted,
-                  loadedAllComments,
-                  loadingComments: false,
-                  reloadingComments: false
-                })
+            // Update the contigs array (only once all its comments have been compared,
+            // so that a cancelled download doesn't leave uncompared comments in a contig)
+            if (curContigLoadedAll) {
+              if (before) {
+                this.curContig().lastCreated = before - 1
+                this.mergeContigs()
+              } else {
+                this.curContig().lastCreated = lastCreatedUtc
+                this.curContig().loadedAllComments = true
               }
+            } else
+              this.curContig().lastCreated = lastCreatedUtc
+
+            const loadedAllComments = Boolean(this.curContig().loadedAllComments)
+            if (persistent && !loadedAllComments && pushshiftComments <= newCommentCount - archiveChunkSize)
+              this.getComments(newCommentCount - pushshiftComments, true, commentHint)
+
+            else {
+              console.timeEnd('Load comments')
+              this.props.global.setSuccess()
+              this.setState({
+                pushshiftCommentLookup,
+                removed: this.state.removed,
+                deleted: this.state.deleted,
+                loadedAllComments,
+                loadingComments: false,
+                reloadingComments: false
+              })
+              this.saveToCache()
             }
           })
         })
       })
       .catch(e => {
+        if (isAbortError(e) || signal.aborted)
+          return
         console.timeEnd('Load comments')
         this.props.global.setError(e, e.helpUrl)
         if (this.curContig().lastCreated === undefined) {
@@ -583,12 +764,96 @@ class Thread extends React.Component {
       })
   }
 
+  // Cancels all downloads in progress, discarding any comments which haven't yet been compared
+  // with Reddit's; the next componentDidUpdate() restarts any downloads which are still needed.
+  //   commentID: the permalink being downloaded (if any), so that it may be reattempted
+  cancelLoading (commentID = undefined) {
+    console.log('Cancelling downloads')
+    this.abortController.abort()
+    this.abortController = new AbortController()
+    const { pushshiftCommentLookup } = this.state
+    this.uncomparedIDs.forEach(id => pushshiftCommentLookup.delete(id))
+    this.uncomparedIDs.clear()
+    // Restore (and recount) any comments from getMissingComments() which uncompared ones replaced
+    this.replacedTreeComments.forEach(comment => {
+      if (comment.removed)
+        this.state.removed++  // eslint-disable-line react/no-direct-mutation-state
+      else if (comment.deleted)
+        this.state.deleted++  // eslint-disable-line react/no-direct-mutation-state
+      pushshiftCommentLookup.set(comment.id, comment)
+      this.commentsChanged()
+    })
+    this.replacedTreeComments.clear()
+    this.contextPromise = undefined
+    this.contigs = this.contigs.filter(contig => contig.lastCreated !== undefined)  // discard new contigs
+    this.curContigIdx = Math.max(Math.min(this.curContigIdx, this.contigs.length - 1), 0)
+    if (commentID !== undefined)
+      this.commentIdAttempts.delete(commentID)
+    this.walkingRedditTree = false
+    this.queuedCachedIDs = false
+    console.timeEnd('Load comments')
+    this.props.global.clearStatus()
+    this.setState({loadingComments: false, reloadingComments: false})
+  }
+
+  // Walks Reddit's comment tree to find removed or deleted comments missing from the archive, adding
+  // them (and any of their ancestors also missing) in their correct positions as placeholders
+  getMissingComments () {
+    const { threadID } = this.props.match.params
+    const { pushshiftCommentLookup } = this.state
+    const { signal } = this.abortController
+    this.walkingRedditTree = true
+    this.setState({reloadingComments: true})
+    this.props.global.setLoading('Finding unarchived comments...')
+    console.time('Load comments')
+    const unarchived = new Map()  // ids => comments found on Reddit but not in the archive
+    let missing = 0
+    walkCommentTree(threadID, comments => comments.forEach(comment => {
+      if (pushshiftCommentLookup.get(comment.id) === undefined)
+        unarchived.set(comment.id, this.fullnamesToShortIDs(comment))
+    }), signal)
+      .then(count => {
+        if (signal.aborted)
+          return
+        unarchived.forEach(comment => {
+          if (!isRemoved(comment.body) && !isDeleted(comment.body))
+            return
+          while (comment && !comment.fromRedditTree) {
+            comment.fromRedditTree = true
+            this.useRedditComment(comment)
+            missing++
+            comment = unarchived.get(comment.parent_id)
+          }
+        })
+        this.walkedRedditTree = true
+        console.log('Reddit:', count, 'comments,', unarchived.size, 'unarchived,', missing, 'missing from the archive')
+        console.timeEnd('Load comments')
+        this.props.global.setSuccess()
+        this.setState({
+          pushshiftCommentLookup,
+          removed: this.state.removed,
+          deleted: this.state.deleted,
+          reloadingComments: false
+        })
+        this.saveToCache()
+      })
+      .catch(error => {
+        if (isAbortError(error))
+          return
+        console.timeEnd('Load comments')
+        this.props.global.setError(error, error.helpUrl)
+        this.setState({reloadingComments: false})
+      })
+  }
+
   // Makes a best-effort attempt to retrieve context# ancestors of the current commentID.
   // Returns a Promise which resolves with the number retrieved, or rejects with undefined.
-  // (Each code path below must setState({ context }) to avoid an infinite loop.)
+  // (Each code path below must setState({ context }) to avoid an infinite loop, unless
+  // cancelled by cancelLoading() which then ensures it's reattempted.)
   getContext (context) {
     const { params } = this.props.match
     const { pushshiftCommentLookup } = this.state
+    const { signal } = this.abortController
 
     // Check how many (if any) ancestors have already been retrieved
     let comment = pushshiftCommentLookup.get(params.commentID), ancestorsFound = 0
@@ -611,28 +876,44 @@ class Thread extends React.Component {
     }
 
     // Ask Reddit for a list of ancestors
-    return getParentComments(params.threadID, comment?.id || params.commentID, context - ancestorsFound)
+    return getParentComments(params.threadID, comment?.id || params.commentID, context - ancestorsFound, signal)
       .then(redditComments => {
 
         // Double-check which comments haven't yet been retrieved from Pushshift, and retreive them
         const ids = redditComments.map(c => c.id).filter(id => !pushshiftCommentLookup.has(id))
-        return getCommentsFromIds(ids)
+        return getCommentsFromIds(ids, signal)
           .then(pushshiftComments => {
             if (ids.length)
-              console.log('Pushshift:', pushshiftComments.length, 'comments')
+              console.log('Archive:', pushshiftComments.length, 'comments')
             this.setState({ context })  // Displays the retrieved context
             pushshiftComments.forEach(comment => pushshiftCommentLookup.set(comment.id, comment))
             return this.compareAndUpdateComments(redditComments)
           })
       })
       .catch(e => {
+        if (isAbortError(e))
+          return 0
         console.error(e)
         this.setState({ context })
       })
   }
 
+  setFocusAuthor = focusAuthor => this.setState({focusAuthor})
+  setSearch = search => this.setState({search})
+
+  // Downloads everything loaded so far in one of the formats in ./exporters
+  exportThread = format => {
+    const { filename, text, type } = exporters[format][1](this.state.post, this.state.pushshiftCommentLookup)
+    download(filename, text, type)
+  }
+
   componentWillUnmount () {
+    this.unsubscribeFromDisplayed()
+    clearTimeout(this.revisionTimeout)
     this.stopLoading = true
+    this.postAbortController.abort()
+    this.abortController.abort()
+    this.props.global.resetView()
   }
 
   render () {
@@ -649,19 +930,39 @@ class Thread extends React.Component {
       <>
         <Post {...this.state.post} isLocFullPost={!isSingleComment && !this.props.location.hash} />
         <CommentInfo
+          comments={this.state.pushshiftCommentLookup}
           total={this.state.pushshiftCommentLookup.size}
+          revision={this.state.commentsRevision}
           removed={this.state.removed}
           deleted={this.state.deleted}
+          showAnalytics={this.state.showAnalytics}
+          toggleAnalytics={this.state.loadingComments ? undefined :
+            () => this.setState({showAnalytics: !this.state.showAnalytics})}
         />
+        {this.state.showAnalytics && !this.state.loadingComments &&
+          <Analytics
+            comments={this.state.pushshiftCommentLookup}
+            postID={id}
+            total={this.state.pushshiftCommentLookup.size}
+            removed={this.state.removed}
+          />
+        }
         <SortBy
           allCommentsFiltered={this.state.allCommentsFiltered}
           loadedAllComments={this.state.loadedAllComments}
           reloadingComments={reloadingComments}
           total={this.state.pushshiftCommentLookup.size}
+          onExport={this.state.loadingComments || !id ? undefined : this.exportThread}
         />
         {
-          (!this.state.loadingComments && root) &&
+          root &&
           <>
+            <ThreadSearch
+              comments={this.state.pushshiftCommentLookup}
+              total={this.state.pushshiftCommentLookup.size}
+              search={this.state.search}
+              setSearch={this.setSearch}
+            />
             {isSingleComment &&
               <div className='view-rest-of-comment'>
                 <div>you are viewing a single comment&apos;s thread.</div><div>
@@ -685,6 +986,17 @@ class Thread extends React.Component {
                 </>}
               </div></div>
             }
+            {this.state.focusAuthor !== undefined &&
+              <AuthorFocus
+                key={this.state.focusAuthor}
+                author={this.state.focusAuthor}
+                comments={this.state.pushshiftCommentLookup}
+                total={this.state.pushshiftCommentLookup.size}
+                focusOnly={this.state.focusOnly}
+                setFocusOnly={focusOnly => this.setState({focusOnly})}
+                clearFocus={() => this.setState({focusAuthor: undefined, focusOnly: false})}
+              />
+            }
             <CommentSection
               root={root}
               context={this.state.context}
@@ -695,8 +1007,16 @@ class Thread extends React.Component {
               commentSort={this.props.global.state.commentSort}      // pass in these props
               reloadingComments={reloadingComments}                  // to ensure React.memo
               total={this.state.pushshiftCommentLookup.size}         // works correctly
-              setMoreContextAvail={avail => this.nextMoreContextAvail = avail}
-              setAllCommentsFiltered={filtered => this.nextAllCommentsFiltered = filtered}
+              revision={this.state.commentsRevision}
+              commentFilters={this.props.global.state.commentFilters}
+              mutedAuthors={this.props.global.state.mutedAuthors}
+              focusAuthor={this.state.focusAuthor}
+              focusOnly={this.state.focusOnly}
+              setFocusAuthor={this.setFocusAuthor}
+              muteAuthor={this.props.global.muteAuthor}
+              search={this.state.search}
+              setMoreContextAvail={this.setMoreContextAvail}
+              setAllCommentsFiltered={this.setAllCommentsFiltered}
             />
             <LoadMore
               loadedAllComments={this.state.loadedAllComments}
@@ -707,10 +1027,14 @@ class Thread extends React.Component {
           </>
         }
         {this.state.showModal &&
-          <Modal
-            closeModal={() => this.setState({showModal: false})}
-            closeModalPermanent={() => {this.setState({showModal: false}); put(dismissModalKey, true)}}
-          />
+          <Modal title='Pushshift Ban' closeModal={() => this.setState({showModal: false})}>
+            <p>
+              On May 1st, Reddit banned Pushshift from the Reddit API.
+              Since Unddit relies on Pushshift to find removed and deleted comments and posts, any posts made after this time will appear to have zero comments on Unddit.
+              The official announcement is <a href='https://old.reddit.com/r/modnews/comments/134tjpe/reddit_data_api_update_changes_to_pushshift_access/' target='_blank' rel='noopener noreferrer'>available here</a>.
+            </p>
+            <input onClick={() => {this.setState({showModal: false}); put(dismissModalKey, true)}} type='button' value='Do not show this message again' />
+          </Modal>
         }
       </>
     )
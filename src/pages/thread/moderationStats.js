@@ -0,0 +1,112 @@
+import { isRemoved, isDeleted, prettyTimeDiff } from '../../utils'
+
+// Moderation statistics of a thread's comments, for the Analytics panel
+
+const hour = 3600, day = 86400, week = 7 * day
+const maxDepth = 10  // comments at this depth or deeper are counted together
+const topAuthorsCount = 10
+
+// Upper bounds (in secs) of the time-to-removal buckets
+const removalTimeBounds = [60, 10*60, hour, 6*hour, day, week, Infinity]
+
+// Picks a bucket size for the timeline so that it has a reasonable number of bars
+const timelineBucketSize = span => span <= 2*day ? hour : span <= 60*day ? day : span <= 730*day ? week : 30*day
+
+// Returns an object with these members (each "bucket" is { label, total, removed } unless noted otherwise):
+//   removed, total:   # of removed, and total # of (known) comments
+//   timeline:         buckets of comments by created_utc, and bucketSize (in secs)
+//   removalTimes:     buckets of { label, removed } by time-to-removal, for those removed before
+//                     being archived (each is an upper bound: retrieved_utc - created_utc)
+//   depths:           buckets by depth, where 0 is a top-level comment
+//   topAuthors:       up to 10 of [ author, # removed ] pairs, sorted by # removed
+//   parentRemoved:    # of removed replies to other comments whose parent was also removed
+//   repliesRemoved:   # of removed replies to other comments (the denominator for the above)
+export const analyzeThread = (comments, postID) => {
+  const known = []
+  comments.forEach(comment => comment && known.push(comment))
+  const stats = {
+    removed: 0, total: known.length, timeline: [], bucketSize: 0, removalTimes: [], depths: [],
+    topAuthors: [], parentRemoved: 0, repliesRemoved: 0
+  }
+  if (known.length == 0)
+    return stats
+
+  // Depths are calculated by following parent_ids, memoized (comments
+  // whose parent is unknown are treated as if they were top-level)
+  const depthCache = new Map()
+  const getDepth = comment => {
+    const path = []
+    let depth = -1  // the depth of the parent of the last comment in path
+    while (comment) {
+      const cached = depthCache.get(comment.id)
+      if (cached !== undefined) {
+        depth = cached
+        break
+      }
+      path.push(comment)
+      comment = comment.parent_id == postID ? undefined : comments.get(comment.parent_id)
+    }
+    for (let i = path.length - 1; i >= 0; i--)
+      depthCache.set(path[i].id, ++depth)
+    return depth
+  }
+
+  let minCreated = Infinity, maxCreated = -Infinity
+  known.forEach(({ created_utc }) => {
+    if (created_utc < minCreated) minCreated = created_utc
+    if (created_utc > maxCreated) maxCreated = created_utc
+  })
+  const bucketSize = stats.bucketSize = timelineBucketSize(maxCreated - minCreated)
+  const firstBucket = Math.floor(minCreated / bucketSize)
+  stats.timeline = Array.from({length: Math.floor(maxCreated / bucketSize) - firstBucket + 1}, (_, i) => ({
+    label: new Date((firstBucket + i) * bucketSize * 1000).toLocaleString([],
+      bucketSize == hour ? {month: 'short', day: 'numeric', hour: 'numeric'} : {dateStyle: 'medium'}),
+    total: 0, removed: 0
+  }))
+  stats.removalTimes = removalTimeBounds.map((bound, i) => ({
+    label: bound == Infinity ? `over ${prettyTimeDiff(removalTimeBounds[i-1])}` : `within ${prettyTimeDiff(bound)}`,
+    removed: 0
+  }))
+  stats.depths = Array.from({length: maxDepth + 1}, (_, depth) =>
+    ({label: depth == maxDepth ? `${depth}+` : String(depth), total: 0, removed: 0}))
+
+  const authors = new Map()
+  known.forEach(comment => {
+    const timeBucket = stats.timeline[Math.floor(comment.created_utc / bucketSize) - firstBucket]
+    const depthBucket = stats.depths[Math.min(getDepth(comment), maxDepth)]
+    if (timeBucket)
+      timeBucket.total++
+    depthBucket.total++
+    if (!comment.removed)
+      return
+
+    stats.removed++
+    if (timeBucket)
+      timeBucket.removed++
+    depthBucket.removed++
+
+    const retrieved = comment.retrieved_utc || comment.retrieved_on
+    if (isRemoved(comment.body) && retrieved >= comment.created_utc) {
+      const removalTime = retrieved - comment.created_utc
+      stats.removalTimes[removalTimeBounds.findIndex(bound => removalTime < bound)].removed++
+    }
+
+    if (comment.author && !isDeleted(comment.author))
+      authors.set(comment.author, (authors.get(comment.author) || 0) + 1)
+
+    if (comment.parent_id != postID) {
+      const parent = comments.get(comment.parent_id)
+      if (parent) {
+        stats.repliesRemoved++
+        if (parent.removed)
+          stats.parentRemoved++
+      }
+    }
+  })
+
+  // Trim empty depths from the end
+  while (stats.depths.length > 1 && stats.depths[stats.depths.length - 1].total == 0)
+    stats.depths.pop()
+  stats.topAuthors = Array.from(authors).sort((a, b) => b[1] - a[1]).slice(0, topAuthorsCount)
+  return stats
+}
@@ -0,0 +1,93 @@
+import { handlers, treeValues } from './commentTree'
+
+// Builds, filters and sorts comment trees, and compares comments with Reddit's, in a Web Worker so that the
+// page stays responsive for large threads (or on the main thread if a worker can't be started)
+
+let worker, nextSeq = 0
+const pending = new Map()  // seq => { resolve, reject } for each message awaiting a reply
+
+// If the worker fails (e.g. it couldn't be loaded), rejects everything awaiting a reply,
+// and then uses the main thread instead
+const onWorkerError = event => {
+  console.warn('Comment tree worker failed, using the main thread instead:', event.message || event)
+  worker.terminate()
+  worker = null
+  syncedComments = undefined  // so that every comment is sent again, to the main thread's handlers
+  pending.forEach(({ reject }) => reject(new Error('The comment tree worker failed')))
+  pending.clear()
+}
+
+const getWorker = () => {
+  if (worker === undefined) {
+    try {
+      worker = new Worker(new URL('./commentTree.worker.js', import.meta.url))
+      worker.onerror = worker.onmessageerror = onWorkerError
+      worker.onmessage = ({ data: { seq, result, error } }) => {
+        const { resolve, reject } = pending.get(seq)
+        pending.delete(seq)
+        if (error === undefined)
+          resolve(result)
+        else
+          reject(new Error(error))
+      }
+    } catch (error) {
+      console.warn('Comment tree worker unavailable:', error)
+      worker = null
+    }
+  }
+  return worker
+}
+
+// Calls one of the handlers in ./commentTree, returning a Promise of its result
+const call = (type, ...args) => {
+  if (!getWorker())
+    return Promise.resolve().then(() => handlers[type](...args))
+  return new Promise((resolve, reject) => {
+    const seq = nextSeq++
+    pending.set(seq, { resolve, reject })
+    worker.postMessage({ seq, type, args })
+  })
+}
+
+// The comment Map last sent to the worker, and for each of its comments what was sent (as a string)
+let syncedComments, sentComments = new Map()
+
+// Sends the worker only those comments which were added or changed since last called
+const syncComments = comments => {
+  const reset = comments !== syncedComments
+  if (reset) {
+    syncedComments = comments
+    sentComments = new Map()
+  }
+  const puts = [], deletes = []
+  comments.forEach((comment, id) => {
+    if (!comment)
+      return
+    const values = treeValues(comment)
+    const sent = JSON.stringify(values)
+    if (sentComments.get(id) !== sent) {
+      sentComments.set(id, sent)
+      puts.push(values)
+    }
+  })
+  sentComments.forEach((sent, id) => {
+    if (!comments.get(id)) {
+      sentComments.delete(id)
+      deletes.push(id)
+    }
+  })
+  if (reset || puts.length || deletes.length)
+    call('sync', reset, puts, deletes)
+      .catch(() => {})  // a failure is also reported by the next call
+}
+
+// Resolves with a comment tree (see build() in ./commentTree) of the comments Map (of IDs to comments),
+// which may have changed since last called. options is { rootID, context, postID, filterName, sortName, focus,
+// filters, mutedAuthors }.
+export const buildCommentTree = (comments, options) => {
+  syncComments(comments)
+  return call('build', options)
+}
+
+// Resolves with the results of comparing archived comments with Reddit's (see compare() in ./commentTree)
+export const compareComments = (pairs, providerTitle) => call('compare', pairs, providerTitle)
@@ -1,14 +1,21 @@
 import React from 'react'
 import { Subscribe, Container } from 'unstated'
-import { get, put } from './utils'
-import { chunkSize } from './api/pushshift'
+import { useHistory, useLocation } from 'react-router-dom'
+import { get, put, isRecording, startRecording, stopRecording, isReplaying, startReplay, stopReplay } from './utils'
+import { chunkSize, defaultProvider, setProvider } from './api/archive'
+import { subscribe as subscribeToWaits } from './api/scheduler'
+import { isLoggedIn, getUsername, subscribe as subscribeToLogins } from './api/reddit/auth'
 
 // Sort types for comments
 export const sort = {
   top: 'SORT_TOP',
   bottom: 'SORT_BOTTOM',
   new: 'SORT_NEW',
-  old: 'SORT_OLD'
+  old: 'SORT_OLD',
+  controversial: 'SORT_CONTROVERSIAL',
+  replies: 'SORT_REPLIES',
+  fastestRemoval: 'SORT_FASTEST_REMOVAL',
+  removedFirst: 'SORT_REMOVED_FIRST'
 }
 
 // Filter types for comments
@@ -16,7 +23,12 @@ export const filter = {
   all: 'SHOW_ALL',
   removedDeleted: 'SHOW_REMOVED_DELETED',
   removed: 'SHOW_REMOVED',
-  deleted: 'SHOW_DELETED'
+  deleted: 'SHOW_DELETED',
+  removedByModerator: 'SHOW_REMOVED_BY_MODERATOR',
+  removedByAutomod: 'SHOW_REMOVED_BY_AUTOMOD',
+  removedByAdmin: 'SHOW_REMOVED_BY_ADMIN',
+  deletedByUser: 'SHOW_DELETED_BY_USER',
+  accountDeleted: 'SHOW_ACCOUNT_DELETED'
 }
 
 // Light/Dark mode themes
@@ -26,6 +38,12 @@ export const theme = {
   system: 'SYSTEM'
 }
 
+// Whether network traffic is being recorded or replayed (see ./utils)
+export const networkMode = {
+  recording: 'RECORDING',
+  replaying: 'REPLAYING'
+}
+
 export const maxCommentsDefault = chunkSize * 4
 export const minCommentsLimit   = chunkSize
 export const maxCommentsLimit   = 20000
@@ -38,11 +56,87 @@ export const constrainMaxComments = maxComments => {
   return maxComments
 }
 
+// A thread's URL can set how its comments are viewed (overriding, but not changing, the saved preferences)
+// with these query parameters: sort and filter (the names of the values above), and the filters of
+// setCommentFilters() below. Where Reddit has the same parameter, the same name and values are used.
+const viewParams = ['sort', 'filter', 'edited', 'min_score', 'max_score', 'depth', 'authors']
+const sortAliases = { confidence: 'top', best: 'top' }  // Reddit's default sort
+
+// Returns the name in values matching name regardless of case (or undefined)
+const nameIn = (values, name) => name ? Object.keys(values).find(key => key.toLowerCase() == name.toLowerCase()) : undefined
+
+const parseInteger = text => {
+  const number = parseInt(text)
+  return isNaN(number) ? undefined : number
+}
+
+// Returns the view set by a URL's query string, an object with commentSort, commentFilter and/or commentFilters
+export const parseViewQuery = search => {
+  const params = new URLSearchParams(search)
+  const view = {}
+  const sortName = nameIn(sort, sortAliases[params.get('sort')] || params.get('sort'))
+  if (sortName)
+    view.commentSort = sort[sortName]
+  const filterName = nameIn(filter, params.get('filter'))
+  if (filterName)
+    view.commentFilter = filter[filterName]
+  if (viewParams.slice(2).some(name => params.has(name))) {
+    const depth = parseInteger(params.get('depth'))  // Reddit's depth=1 shows only top-level comments
+    view.commentFilters = {
+      edited:   params.get('edited') == 'true' || undefined,
+      minScore: parseInteger(params.get('min_score')),
+      maxScore: parseInteger(params.get('max_score')),
+      maxDepth: depth >= 1 ? depth - 1 : undefined,
+      authors:  params.get('authors')?.split(',').filter(author => author)
+    }
+  }
+  return view
+}
+
+// Returns a URL's query string with its view set to the commentSort, commentFilter and commentFilters
+export const viewQuery = (search, { commentSort, commentFilter, commentFilters }) => {
+  const params = new URLSearchParams(search)
+  viewParams.forEach(name => params.delete(name))
+  params.set('sort',   Object.keys(sort).find(name => sort[name] == commentSort))
+  params.set('filter', Object.keys(filter).find(name => filter[name] == commentFilter))
+  if (commentFilters.edited)
+    params.set('edited', 'true')
+  if (commentFilters.minScore !== undefined)
+    params.set('min_score', commentFilters.minScore)
+  if (commentFilters.maxScore !== undefined)
+    params.set('max_score', commentFilters.maxScore)
+  if (commentFilters.maxDepth !== undefined)
+    params.set('depth', commentFilters.maxDepth + 1)
+  if (commentFilters.authors?.length)
+    params.set('authors', commentFilters.authors.join(','))
+  return '?' + params.toString()
+}
+
+// Returns a function which, given any changes to the view (as in parseViewQuery()'s return value), updates
+// the current URL's query to match (for use by components which change the global view state)
+export const useSetViewQuery = global => {
+  const history = useHistory(), location = useLocation()
+  return changes => history.replace({...location, state: undefined, search: viewQuery(location.search, {...global.state, ...changes})})
+}
+
+// Returns a copy of the filters (see setCommentFilters() below) with only those which are set
+const withoutUnset = filters => {
+  const set = {}
+  Object.entries(filters).forEach(([name, value]) => {
+    if (value !== undefined && value !== false && !(Array.isArray(value) && value.length == 0))
+      set[name] = value
+  })
+  return set
+}
+
 // Keys for localStorage
 const sortKey = 'commentSort'
 const filterKey = 'commentFilter'
 const maxCommentsKey = 'maxComments'
 const themeKey = 'theme'
+const archiveProviderKey = 'archiveProvider'
+const findMissingKey = 'findMissingComments'
+const mutedAuthorsKey = 'mutedAuthors'
 
 document.documentElement.dataset.theme = get(themeKey, theme.dark)
 setTimeout(() => document.documentElement.style.transitionDuration = '0.4s')
@@ -51,10 +145,24 @@ class GlobalState extends Container {
   state = {
     commentSort: get(sortKey, sort.top),
     commentFilter: get(filterKey, filter.removedDeleted),
+    commentFilters: {},  // combined with commentFilter, see setCommentFilters()
+    mutedAuthors: get(mutedAuthorsKey, []),  // their comments are hidden unless they have shown replies
+    archiveProvider: setProvider(get(archiveProviderKey, defaultProvider)),
+    findMissingComments: get(findMissingKey, false),  // walk Reddit's comment tree after downloading
     loadingMoreComments: 0,  // max # of comments to attempt to load next
     statusText: '',
     statusHelpUrl: undefined,
-    statusImage: undefined
+    statusImage: undefined,
+    rateLimitWaits: {},  // host titles => millis since the epoch when their wait is over
+    networkMode: isRecording() ? networkMode.recording : isReplaying() ? networkMode.replaying : undefined,
+    redditLoggedIn: isLoggedIn(),
+    redditUsername: getUsername()  // undefined unless logged in to Reddit (and even then, if it couldn't be found)
+  }
+
+  constructor () {
+    super()
+    subscribeToWaits(this.setRateLimitWait)
+    subscribeToLogins((redditLoggedIn, redditUsername) => this.setState({redditLoggedIn, redditUsername}))
   }
 
   // Preferred max # of comments to get during (re-)loads
@@ -72,6 +180,70 @@ class GlobalState extends Container {
     this.setState({commentFilter: filterType})
   }
 
+  // Sets the filters combined with the commentFilter (they aren't saved), an object with any of:
+  //   edited:   if true, only edited comments are shown
+  //   minScore: only comments scored at least this are shown
+  //   maxScore: only comments scored at most this are shown
+  //   maxDepth: replies nested deeper than this are hidden (0 hides all replies)
+  //   authors:  an Array of usernames; only their comments are shown
+  // Comments which fail the filters are still shown if any of their replies are.
+  setCommentFilters (filters) {
+    this.setState({commentFilters: withoutUnset(filters)})
+  }
+
+  setMutedAuthors (authors) {
+    const mutedAuthors = [...new Set(authors)]
+    put(mutedAuthorsKey, mutedAuthors)
+    this.setState({mutedAuthors})
+  }
+
+  muteAuthor = author => this.setMutedAuthors([...this.state.mutedAuthors, author])
+
+  // Sets the view from a URL's query string (see parseViewQuery()) without saving it; any part
+  // of the view missing from the query reverts to the saved preference (or no commentFilters)
+  applyViewQuery (search) {
+    const view = parseViewQuery(search)
+    this.setState({
+      commentSort:    view.commentSort   || get(sortKey, sort.top),
+      commentFilter:  view.commentFilter || get(filterKey, filter.removedDeleted),
+      commentFilters: withoutUnset(view.commentFilters || {})
+    })
+  }
+  // Reverts the view to the saved preferences, e.g. when leaving a page whose query set the view
+  resetView () {
+    this.applyViewQuery('')
+  }
+
+  // Used for any subsequent archive requests (does not reload comments)
+  setArchiveProvider (name) {
+    name = setProvider(name)
+    put(archiveProviderKey, name)
+    this.setState({archiveProvider: name})
+  }
+
+  // If enabled, finds comments missing from the archive after the next full thread download
+  setFindMissingComments (findMissingComments) {
+    put(findMissingKey, findMissingComments)
+    this.setState({findMissingComments})
+  }
+
+  // Recording and replaying network traffic (see startRecording() et al. in ./utils)
+  startRecording () {
+    startRecording()
+    this.setState({networkMode: networkMode.recording})
+  }
+  // Returns the location of the replayed recording
+  startReplay (bundle) {
+    const location = startReplay(bundle)
+    this.setState({networkMode: networkMode.replaying})
+    return location
+  }
+  stopNetworkMode () {
+    stopRecording()
+    stopReplay()
+    this.setState({networkMode: undefined})
+  }
+
   // Contrains, saves, and returns it (does not load more comments)
   setMaxComments (maxComments) {
     this.maxComments = constrainMaxComments(maxComments)
@@ -107,6 +279,16 @@ class GlobalState extends Container {
     document.body.classList.remove('wait')
   }
 
+  // Called when requests to a host begin (or finish, if msWaitUntil is 0) waiting for its rate limit
+  setRateLimitWait = (title, msWaitUntil) => {
+    const rateLimitWaits = {...this.state.rateLimitWaits}
+    if (msWaitUntil)
+      rateLimitWaits[title] = msWaitUntil
+    else
+      delete rateLimitWaits[title]
+    this.setState({rateLimitWaits})
+  }
+
   isErrored = () => this.state.statusImage?.endsWith('error.png')
 }
 
@@ -2,13 +2,19 @@ import SnuOwnd from 'snuownd'
 
 const markdown = SnuOwnd.getParser()
 
-// Fetches JSON at the given url or throws a descriptive Error
+// Fetches JSON at the given url or throws a descriptive Error (or an AbortError if init.signal is aborted)
 export const fetchJson = (url, init = {}) => fetchJsonAndHeaders(url, init)
   .then(response => response.json)
 
-// Fetches JSON, returning an object with a .json and a .headers member
+// Fetches JSON, returning an object with a .json and a .headers member (errors for unsuccessful
+// responses also have a .status and a .headers member, and errors for failed requests an .isNetworkError)
 export const fetchJsonAndHeaders = (url, init = {}) =>
-  window.fetch(url, init)
+  recordingFetch(url, init)
+    .catch(error => {
+      if (!isAbortError(error))
+        error.isNetworkError = true
+      throw error
+    })
     .then(response => response.ok ?
       {
         json: response.json()
@@ -19,27 +25,229 @@ export const fetchJsonAndHeaders = (url, init = {}) =>
       } :
       response.text()
         .catch(error => {
-          throw new Error((response.statusText || response.status) + ', ' + error)
+          throw httpError(response, ', ' + error)
         }).then(text => {
-          throw new Error((response.statusText || response.status) + ': ' + text)
+          throw httpError(response, ': ' + text)
         })
     )
 
+const httpError = (response, detail) => {
+  const error = new Error((response.statusText || response.status) + detail)
+  error.status  = response.status
+  error.headers = response.headers
+  return error
+}
+
+// Record/replay of network traffic, to reproduce bug reports. While recording, every request made via
+// fetchJsonAndHeaders() is added to a bundle along with its response, and while replaying, responses are
+// served from such a bundle instead of from the network. A bundle is an object containing (with location
+// being the page viewed when it was retrieved by getRecording()):
+//   { version, recordedAt, location, exchanges: [ {method, url, status, statusText, headers, body} or
+//     {method, url, error} (for network errors), ... ] }
+// Request bodies and credentials are not recorded, and tokens in responses are redacted.
+
+// The bundle being recorded is saved in sessionStorage when leaving the page, so that recording
+// (including the exchanges so far) continues after reloading
+const recordingKey = 'recordNetwork'
+const bundleVersion = 1
+let recording, replaying  // the bundle being recorded, and a Map of 'method url' => exchanges to replay
+
+const newRecording = () => ({
+  version: bundleVersion,
+  recordedAt: new Date().toISOString(),
+  exchanges: []
+})
+const saveRecording = () => {
+  if (!recording)
+    return
+  try {
+    window.sessionStorage.setItem(recordingKey, JSON.stringify(recording))
+  } catch (error) {
+    console.warn('Recording is too large to survive reloading:', error)
+    window.sessionStorage.setItem(recordingKey, JSON.stringify({...recording, exchanges: []}))
+  }
+}
+if (typeof window != 'undefined') {  // (not in the comment tree worker)
+  const saved = window.sessionStorage.getItem(recordingKey)
+  if (saved) {
+    recording = JSON.parse(saved)
+    if (recording?.version != bundleVersion || !Array.isArray(recording.exchanges))
+      recording = newRecording()
+  }
+  window.addEventListener('pagehide', saveRecording)
+}
+
+const exchangeKey = (url, init) => `${init.method || 'GET'} ${url}`
+const redactTokens = text => text.replace(/"(access_token|refresh_token)"\s*:\s*"[^"]*"/g, '"$1": "REDACTED"')
+
+// Begins recording a new bundle (for this and all subsequent page loads in this tab);
+// see GlobalState in ../state, which should be used to start and stop recording
+export const startRecording = () => {
+  recording = newRecording()
+  saveRecording()
+}
+export const stopRecording = () => {
+  window.sessionStorage.removeItem(recordingKey)
+  recording = undefined
+}
+export const isRecording = () => Boolean(recording)
+export const getRecording = () => recording && {
+  ...recording,
+  location: window.location.pathname + window.location.search + window.location.hash
+}
+
+// Serves subsequent requests from a bundle (until the page is reloaded); returns the bundle's location
+export const startReplay = bundle => {
+  if (bundle?.version != bundleVersion || !Array.isArray(bundle.exchanges))
+    throw new Error('Not a recording of network traffic')
+  stopRecording()
+  replaying = new Map()
+  bundle.exchanges.forEach(exchange => {
+    const key = `${exchange.method} ${exchange.url}`
+    if (!replaying.has(key))
+      replaying.set(key, [])
+    replaying.get(key).push(exchange)
+  })
+  return bundle.location || '/'
+}
+export const stopReplay = () => replaying = undefined
+export const isReplaying = () => Boolean(replaying)
+
+// Responses with these statuses never have a body
+const isNullBodyStatus = status => status == 101 || status == 103 || status == 204 || status == 205 || status == 304
+
+const recordingFetch = async (url, init) => {
+  if (replaying) {
+    if (init.signal?.aborted)
+      throw abortError()
+    // Identical requests are replayed in the order recorded, repeating the last one if necessary
+    const exchanges = replaying.get(exchangeKey(url, init))
+    const exchange = exchanges?.length > 1 ? exchanges.shift() : exchanges?.[0]
+    if (!exchange) {
+      console.warn('Not in the recording:', exchangeKey(url, init))
+      return new Response('Not in the recording', {status: 404, statusText: 'Not Recorded'})
+    }
+    if (exchange.error)
+      throw new TypeError(exchange.error)
+    // Responses can't be constructed with these statuses (e.g. 0 for an opaque response); they're replayed as network errors
+    if (!(exchange.status >= 200 && exchange.status <= 599))
+      throw new TypeError(`Recorded response has status ${exchange.status}`)
+    return new Response(isNullBodyStatus(exchange.status) ? null : exchange.body,
+      {status: exchange.status, statusText: exchange.statusText, headers: exchange.headers})
+  }
+
+  if (!recording)
+    return window.fetch(url, init)
+  const exchanges = recording.exchanges
+  let response
+  try {
+    response = await window.fetch(url, init)
+  } catch (error) {
+    if (!isAbortError(error))
+      exchanges.push({method: init.method || 'GET', url, error: error.message})
+    throw error
+  }
+  const body = isNullBodyStatus(response.status) ? null : await response.clone().text().catch(() => '')
+  const headers = {}
+  response.headers.forEach((value, name) => headers[name] = value)
+  exchanges.push({method: init.method || 'GET', url, status: response.status, statusText: response.statusText,
+    headers, body: body && redactTokens(body)})
+  return response
+}
+
+// Saves text to a file in the user's downloads
+export const download = (filename, text, type = 'application/json') => {
+  const a = document.createElement('a')
+  a.href = URL.createObjectURL(new Blob([text], {type}))
+  a.download = filename
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(a.href))
+}
+
 export const sleep = ms =>
   new Promise(slept => setTimeout(slept, ms))
 
+// The Error thrown by fetch() et al. after their AbortSignal is aborted
+export const abortError = () => new DOMException('The operation was aborted', 'AbortError')
+export const isAbortError = error => error?.name == 'AbortError'
+
 // Reddits way of indicating that something is deleted (the '\\' is for Reddit and the other is for pushshift)
 export const isDeleted = textBody => textBody === '\\[deleted\\]' || textBody === '[deleted]'
 
 // Reddits way of indicating that something is deleted
 export const isRemoved = textBody => textBody === '\\[removed\\]' || textBody === '[removed]' || textBody === '[ Removed by Reddit ]'
 
+// Who removed (or deleted) a comment or post
+export const removedBy = {
+  moderator: 'moderator',
+  automod:   'automod',
+  admin:     'admin',    // Reddit's admins
+  user:      'user',     // its author
+  account:   'account'   // its author's account was deleted or suspended (its text remains)
+}
+export const removedByTitles = {
+  moderator: 'removed by moderators',
+  automod:   'removed by AutoModerator',
+  admin:     'removed by Reddit',
+  user:      'deleted by user',
+  account:   'account deleted or suspended'
+}
+
+// Values of Reddit's removed_by_category
+const adminCategories = ['reddit', 'anti_evil_ops', 'copyright_takedown', 'content_takedown', 'community_ops', 'legal_operations']
+const userCategories  = ['deleted', 'author']
+
+// Returns one of removedBy for a comment or post (or undefined if it's intact). If isFromReddit, item
+// is as returned by Reddit's API, whose suspended authors' items lack an author_fullname.
+export const getRemovedBy = (item, isFromReddit) => {
+  const text = item.body ?? item.selftext
+  const category = item.removed_by_category
+  if (text === '[ Removed by Reddit ]' || adminCategories.includes(category))
+    return removedBy.admin
+  if (category == 'automod_filtered')
+    return removedBy.automod
+  if (category == 'moderator' || isRemoved(text))
+    return removedBy.moderator
+  if (userCategories.includes(category) || isDeleted(text))
+    return removedBy.user
+  if (isDeleted(item.author) || isFromReddit && item.author && !item.author_fullname)
+    return removedBy.account
+}
+
 // Default thumbnails for reddit threads
 export const redditThumbnails = ['self', 'default', 'image', 'nsfw', 'spoiler']
 
 // Parse comments (see https://www.reddit.com/dev/api/#response_body_encoding)
 export const parse = text => markdown.render(text.replaceAll('&lt;', '<').replaceAll('&gt;', '>').replaceAll('&amp;', '&'))
 
+// Wraps each case-insensitive occurrence of query in the text (but not the tags) of html in a <mark>
+export const highlightHTML = (html, query) => {
+  const template = document.createElement('template')
+  template.innerHTML = html
+  const lowerQuery = query.toLowerCase()
+  const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT)
+  const textNodes = []
+  while (walker.nextNode())
+    textNodes.push(walker.currentNode)
+  textNodes.forEach(node => {
+    const text = node.nodeValue, lowerText = text.toLowerCase()
+    let idx = lowerText.indexOf(lowerQuery), last = 0
+    if (idx < 0)
+      return
+    const fragment = document.createDocumentFragment()
+    while (idx >= 0) {
+      const mark = document.createElement('mark')
+      mark.textContent = text.substring(idx, idx + query.length)
+      fragment.append(text.substring(last, idx), mark)
+      last = idx + query.length
+      idx = lowerText.indexOf(lowerQuery, last)
+    }
+    fragment.append(text.substring(last))
+    node.replaceWith(fragment)
+  })
+  return template.innerHTML
+}
+
 // UTC to "Reddit time format" (e.g. 5 hours ago, just now, etc...)
 export const prettyDate = createdUTC => {
   const currentUTC = Math.floor((new Date()).getTime() / 1000)
@@ -105,16 +313,62 @@ export const get = (key, defaultValue) => {
 
 export const put = (key, value) => window.localStorage.setItem(key, JSON.stringify(value))
 
+// Opens an IndexedDB database, calling upgrade(db, oldVersion) if it must be created or upgraded
+export const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+  if (!window.indexedDB)
+    throw new Error('IndexedDB is unavailable')
+  const request = window.indexedDB.open(name, version)
+  request.onupgradeneeded = e => upgrade(request.result, e.oldVersion)
+  request.onsuccess = () => resolve(request.result)
+  request.onerror   = () => reject(request.error)
+})
+
+// Resolves with the result of an IndexedDB request
+export const idbRequest = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror   = () => reject(request.error)
+})
+
+// Resolves when an IndexedDB transaction has been committed
+export const idbTransaction = transaction => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve()
+  transaction.onerror = transaction.onabort = () => reject(transaction.error)
+})
+
 // Sorting for comments
 export const topSort    = (commentA, commentB) => commentB.score - commentA.score
 export const bottomSort = (commentA, commentB) => commentA.score - commentB.score
 export const newSort = (commentA, commentB) => commentB.created_utc - commentA.created_utc
 export const oldSort = (commentA, commentB) => commentA.created_utc - commentB.created_utc
 
+// The secs between a removed comment being posted and archived (Infinity if it isn't removed); it was
+// either removed within this time, or (if its text was archived) some time later
+const removalTime = comment => comment.removed ?
+  (comment.retrieved_utc ?? comment.retrieved_on ?? comment.created_utc) - comment.created_utc : Infinity
+
+// An approximation of controversy (Reddit's own isn't public): the replies per point of score
+const controversy = comment => (comment.replyCount + 1) / (Math.abs(comment.score) + 1)
+
+// These require each comment's replyCount and hasRemovedBranch (see countBranches() in ./pages/thread/commentTree):
+// comments Reddit flags as controversial first, then by controversy()
+export const controversialSort = (commentA, commentB) =>
+  (commentB.controversiality || 0) - (commentA.controversiality || 0) || controversy(commentB) - controversy(commentA)
+// most replies (at any depth) first
+export const repliesSort      = (commentA, commentB) => commentB.replyCount - commentA.replyCount
+// branches with removed or deleted comments first, then by top
+export const removedFirstSort = (commentA, commentB) => commentB.hasRemovedBranch - commentA.hasRemovedBranch || topSort(commentA, commentB)
+
+// Removed comments first, those with the shortest removalTime() first, then by top
+export const fastestRemovalSort = (commentA, commentB) => {
+  const timeA = removalTime(commentA), timeB = removalTime(commentB)
+  return timeA == timeB ? topSort(commentA, commentB) : timeA - timeB
+}
+
 // Filter comments
 export const showRemoved = comment => comment.removed === true
 export const showDeleted = comment => comment.deleted === true
 export const showRemovedAndDeleted = comment => comment.removed === true || comment.deleted === true
+export const showRemovedBy = category => comment => comment.removedBy === category
 
 // Edited text display modes
 export const editedModes = {
@@ -128,3 +382,26 @@ export const editedTitles = [
   'The first archived edit is shown; click to change',
   'The most recent edit is shown; click to change'
 ]
+
+// The current time in secs past the epoch
+export const nowUtc = () => Math.floor(Date.now() / 1000)
+
+// Adds a version of a comment's body (or post's selftext) to its .versions, an Array of every known
+// version, each { text, captured, source } (captured is in secs past the epoch), sorted by captured.
+// Removed/deleted text is ignored, as is text identical to the version captured just before it (and
+// text identical to the version captured just after it replaces that version), so text which is
+// edited and later changed back is kept as separate versions.
+export const addVersion = (item, text, captured, source) => {
+  if (typeof text != 'string' || isRemoved(text) || isDeleted(text))
+    return
+  const versions = item.versions || (item.versions = [])
+  let idx = versions.findIndex(version => version.captured > captured)
+  if (idx < 0)
+    idx = versions.length
+  if (versions[idx - 1]?.text == text)
+    return
+  versions.splice(idx, versions[idx]?.text == text ? 1 : 0, { text, captured, source })
+}
+
+// When an archive object was (most recently) captured
+export const archivedUtc = item => item.retrieved_utc || item.retrieved_on || item.created_utc